@@ -2,19 +2,34 @@
 
 // 1. --- SETUP AND INITIALIZATION ---
 // ------------------------------------
+// --json prints the dry-run plan on stdout, so progress messages go to stderr instead.
+if (process.argv.includes('--json')) {
+    console.log = console.error;
+}
 console.log(`Vikunja-Google Sync started at: ${new Date().toISOString()}`);
 
 // These are CommonJS modules, safe to require at the top level.
 const axios = require('axios');
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const ical = require('ical-generator').default;
+const { getVtimezoneComponent } = require('@touch4it/ical-timezones');
 const path = require('path');
 const dayjs = require('dayjs');
 const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
 dayjs.extend(utc);
+dayjs.extend(timezone);
 
 require('dotenv').config();
 
 // We wrap the entire application in an async function to allow for dynamic imports of ES Modules.
-async function run() {
+// settings holds the configuration (see below); it is process.env unless SYNC_CONFIG_FILE lists profiles,
+// in which case run() is called once per profile and every log line is prefixed with the profile's name.
+async function run(settings = process.env, profileName = null) {
+    const console = profileName ? profileConsole(profileName) : global.console;
+
     // Dynamically import ES Modules like 'node-fetch' and 'lowdb'.
     const { Headers, Blob, FormData } = await import('node-fetch');
     const { Low } = await import('lowdb');
@@ -29,42 +44,583 @@ async function run() {
     const { google } = require('googleapis');
 
     // Load environment variables
-    const { VIKUNJA_API_URL, VIKUNJA_API_TOKEN, VIKUNJA_FRONTEND_URL, GOOGLE_APPLICATION_CREDENTIALS, CALENDAR_PREFIX, GOOGLE_CALENDAR_SHARE_WITH_EMAIL } = process.env;
+    const { VIKUNJA_API_URL, VIKUNJA_API_TOKEN, VIKUNJA_FRONTEND_URL, GOOGLE_APPLICATION_CREDENTIALS, CALENDAR_PREFIX, GOOGLE_CALENDAR_SHARE_WITH_EMAIL, SYNC_DB_FILE } = settings;
+
+    // Optional settings and their defaults
+    const {
+        GOOGLE_AUTH_MODE = 'service-account', // 'service-account' (GOOGLE_APPLICATION_CREDENTIALS) or 'oauth' (your own account, see --authorize)
+        GOOGLE_OAUTH_CLIENT_FILE, // 'oauth': the OAuth client JSON (type "Desktop app") downloaded from Google Cloud
+        GOOGLE_OAUTH_TOKEN_FILE = path.join(__dirname, profileName ? `google-token-${profileName}.json` : 'google-token.json'), // 'oauth': where --authorize stores the token
+        SYNC_DIRECTION = 'one-way', // 'one-way' (Vikunja -> Google) or 'two-way'
+        CONFLICT_POLICY = 'newest', // who wins when both sides changed: 'vikunja', 'google' or 'newest'
+        SYNC_INTERVAL_MINUTES = '15', // --daemon: minutes between cycles
+        SYNC_MAX_BACKOFF_MINUTES = '120', // --daemon: longest wait after repeated failures
+        CALENDAR_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone, // IANA zone for calendars and event times
+        DEFAULT_EVENT_DURATION_MINUTES = '30', // length of a timed event for a task that only has a due date
+        COMPLETED_TASK_POLICY = 'delete', // events of done tasks: 'delete', 'mark' (✓ prefix, transparent) or 'archive' (marked, in a "Done" calendar)
+        COMPLETED_RETENTION_DAYS = '14', // 'mark'/'archive': days a completed task stays on the calendar
+        REMINDER_METHOD = 'popup', // how Google delivers task reminders: 'popup' or 'email'
+        EVENT_SUMMARY_TEMPLATE = '{priority}{title}', // event title; placeholders are listed under Event Content below
+        EVENT_DESCRIPTION_TEMPLATE = 'Priority: {priority_name}\nLabels: {labels}\nAssigned to: {assignees}\nProgress: {progress}\n\n{description}\n\nAttachments: {attachments}\n\nView in Vikunja: {link}', // event description; "\n" starts a new line
+        PRIORITY_PREFIXES = ',,❗,‼️,🔥', // {priority} for Vikunja priorities 1 (low) to 5 (DO NOW), comma-separated
+        EVENT_COLOR_SOURCE = 'label', // Google event color from the first colored 'label' (then the project), the 'project', or 'none'
+        ASSIGNEES_AS_ATTENDEES = 'false', // 'true' invites a task's assignees to its event, by their VIKUNJA_EMAIL_MAP email (GOOGLE_AUTH_MODE=oauth only)
+        SEND_UPDATES = 'none', // who Google emails about event changes: 'all', 'externalOnly' or 'none'
+        DEFAULT_REMINDER_MINUTES, // comma-separated minutes before the event for tasks without reminders; unset uses the calendar's defaults
+        VIKUNJA_FULL_SYNC_HOURS = '24', // hours between full task fetches; cycles in between only fetch changed tasks
+        SYNC_PROJECTS, // projects to sync (see Project Selection below); unset syncs every project
+        SKIP_PROJECTS, // projects never to sync, even when SYNC_PROJECTS matches them
+        SYNC_ARCHIVED_PROJECTS = 'false', // 'true' also syncs archived projects and those below an archived parent
+        SYNC_SAVED_FILTERS, // saved filters (negative IDs in Vikunja) to sync as calendars of their own; unset syncs none
+        ROLL_UP_CHILD_PROJECTS = 'false', // 'true' puts the tasks of child projects in their top-level project's calendar
+        CALENDAR_ROUTING = 'project', // one calendar per 'project', a 'single' combined one, or one per 'label', 'assignee' or 'priority' band
+        TARGET_CALENDAR_ID, // 'single' routing: ID of an existing calendar (writable by the sync's Google account) to use instead of creating one
+        PRIORITY_BANDS = 'Low:0-1,Normal:2-3,Urgent:4-5', // 'priority' routing: calendar name and the priorities it takes
+        CALENDAR_SHARING, // JSON list of sharing rules (see Calendar Sharing below), applied alongside GOOGLE_CALENDAR_SHARE_WITH_EMAIL
+        SHARE_WITH_PROJECT_MEMBERS = 'false', // 'true' also shares each calendar with the project's Vikunja users and teams
+        MEMBER_ROLES = 'reader,writer,writer', // Google roles for Vikunja's read-only, read & write and admin permissions
+        VIKUNJA_EMAIL_MAP, // JSON object of Vikunja usernames (or "team:<name>" for a Google Group) to Google emails, for sharing and attendees
+        GOOGLE_REQUESTS_PER_SECOND = '5', // sustained rate of Google Calendar API calls
+        GOOGLE_CONCURRENCY = '4', // Google Calendar API calls (or batches) allowed in flight at once
+        GOOGLE_MAX_RETRIES = '5', // retries for rate-limited or failed Google calls before giving up
+        MAX_DELETIONS = '50%', // most stale events (or orphaned calendars) one cycle may delete, as a count ("25") or share of synced ones ("50%", but always at least 5); --force overrides
+        ORPHANED_CALENDAR_POLICY = 'keep', // calendars of deleted or no longer synced projects: 'keep', 'rename', 'unsubscribe' or 'delete'
+        ALLOW_CALENDAR_DELETION = 'false', // must be 'true' for the 'unsubscribe' and 'delete' orphan policies
+        FEED_TOKEN, // --serve: secret that must be passed as ?token= on every feed URL; unset disables the feeds
+        VIKUNJA_WEBHOOK_SECRET, // --serve --daemon: secret of the Vikunja webhook posting to /webhooks/vikunja; unset disables it
+        FEED_PORT = '3000', // --serve: port the HTTP server for feeds and webhooks listens on
+        FEED_CACHE_SECONDS = '300', // --serve: how long fetched Vikunja tasks are reused between feed requests
+    } = settings;
+
+    // --- Command-line Flags ---
+    // --daemon keeps syncing every SYNC_INTERVAL_MINUTES; --serve starts the iCal feed server.
+    // --serve on its own only serves feeds, so no Google credentials are needed.
+    // --full-sync fetches every Vikunja task instead of only those changed since the last sync.
+    // --force lets a cycle delete more events or retire more calendars than MAX_DELETIONS allows.
+    // --dry-run runs one cycle that only reports what it would change (--json for machine-readable output).
+    // --authorize signs in to Google for GOOGLE_AUTH_MODE=oauth, stores the token and exits.
+    // --profile <name> only runs that profile of SYNC_CONFIG_FILE (see Profiles at the end).
+    const authorizeMode = process.argv.includes('--authorize');
+    const daemonMode = process.argv.includes('--daemon');
+    const serveMode = process.argv.includes('--serve');
+    const dryRun = process.argv.includes('--dry-run');
+    const jsonOutput = process.argv.includes('--json');
+    const forceDeletions = process.argv.includes('--force');
+    let fullSyncRequested = process.argv.includes('--full-sync');
+    const syncEnabled = daemonMode || !serveMode;
 
     // --- Configuration & Validation ---
-    if (!VIKUNJA_API_TOKEN || !GOOGLE_APPLICATION_CREDENTIALS || !GOOGLE_CALENDAR_SHARE_WITH_EMAIL || !VIKUNJA_FRONTEND_URL) {
+    if (!['service-account', 'oauth'].includes(GOOGLE_AUTH_MODE)) {
+        console.error(`FATAL: GOOGLE_AUTH_MODE must be "service-account" or "oauth", got "${GOOGLE_AUTH_MODE}".`);
+        process.exit(1);
+    }
+    const oauthMode = GOOGLE_AUTH_MODE === 'oauth';
+    const GOOGLE_CALENDAR_SCOPE = 'https://www.googleapis.com/auth/calendar';
+    if (authorizeMode) {
+        if (!oauthMode || !GOOGLE_OAUTH_CLIENT_FILE) {
+            console.error("FATAL: --authorize needs GOOGLE_AUTH_MODE=oauth and GOOGLE_OAUTH_CLIENT_FILE.");
+            process.exit(1);
+        }
+        await authorizeGoogleAccount();
+        return;
+    }
+    // A service account owns the calendars it creates, so someone has to be given access to them.
+    const googleCredentialsMissing = oauthMode
+        ? !GOOGLE_OAUTH_CLIENT_FILE
+        : !GOOGLE_APPLICATION_CREDENTIALS || (!GOOGLE_CALENDAR_SHARE_WITH_EMAIL && !CALENDAR_SHARING && SHARE_WITH_PROJECT_MEMBERS !== 'true');
+    if (!VIKUNJA_API_TOKEN || !VIKUNJA_FRONTEND_URL
+        || (syncEnabled && (googleCredentialsMissing || !CALENDAR_PREFIX?.trim()))
+        || (serveMode && !FEED_TOKEN && !VIKUNJA_WEBHOOK_SECRET)) {
         console.error("FATAL: One or more required variables are not set in the .env file. Please check all required variables.");
         process.exit(1);
     }
+    if (serveMode && VIKUNJA_WEBHOOK_SECRET && !syncEnabled) {
+        console.error("FATAL: The Vikunja webhook receiver syncs to Google, so --serve needs --daemon alongside it when VIKUNJA_WEBHOOK_SECRET is set.");
+        process.exit(1);
+    }
+    if (dryRun && (daemonMode || serveMode)) {
+        console.error("FATAL: --dry-run can't be combined with --daemon or --serve.");
+        process.exit(1);
+    }
+    if (!['one-way', 'two-way'].includes(SYNC_DIRECTION)) {
+        console.error(`FATAL: SYNC_DIRECTION must be "one-way" or "two-way", got "${SYNC_DIRECTION}".`);
+        process.exit(1);
+    }
+    if (!['vikunja', 'google', 'newest'].includes(CONFLICT_POLICY)) {
+        console.error(`FATAL: CONFLICT_POLICY must be "vikunja", "google" or "newest", got "${CONFLICT_POLICY}".`);
+        process.exit(1);
+    }
+    if (!(Number(GOOGLE_REQUESTS_PER_SECOND) > 0) || !(Number(GOOGLE_CONCURRENCY) >= 1) || !(Number(GOOGLE_MAX_RETRIES) >= 0)) {
+        console.error("FATAL: GOOGLE_REQUESTS_PER_SECOND and GOOGLE_CONCURRENCY must be positive and GOOGLE_MAX_RETRIES zero or more.");
+        process.exit(1);
+    }
+    if (!(Number(VIKUNJA_FULL_SYNC_HOURS) > 0)) {
+        console.error("FATAL: VIKUNJA_FULL_SYNC_HOURS must be a positive number.");
+        process.exit(1);
+    }
+    if (!(Number(SYNC_INTERVAL_MINUTES) > 0) || !(Number(SYNC_MAX_BACKOFF_MINUTES) > 0)) {
+        console.error("FATAL: SYNC_INTERVAL_MINUTES and SYNC_MAX_BACKOFF_MINUTES must be positive numbers.");
+        process.exit(1);
+    }
+    try {
+        dayjs().tz(CALENDAR_TIME_ZONE);
+    } catch (error) {
+        console.error(`FATAL: CALENDAR_TIME_ZONE "${CALENDAR_TIME_ZONE}" is not a valid IANA time zone.`);
+        process.exit(1);
+    }
+    if (!(Number(DEFAULT_EVENT_DURATION_MINUTES) > 0)) {
+        console.error("FATAL: DEFAULT_EVENT_DURATION_MINUTES must be a positive number.");
+        process.exit(1);
+    }
+    const maxDeletionsMatch = /^(\d+(?:\.\d+)?)(%?)$/.exec(MAX_DELETIONS.trim());
+    if (!maxDeletionsMatch) {
+        console.error(`FATAL: MAX_DELETIONS must be a count like "25" or a percentage like "50%", got "${MAX_DELETIONS}".`);
+        process.exit(1);
+    }
+    if (!['keep', 'rename', 'unsubscribe', 'delete'].includes(ORPHANED_CALENDAR_POLICY)) {
+        console.error(`FATAL: ORPHANED_CALENDAR_POLICY must be "keep", "rename", "unsubscribe" or "delete", got "${ORPHANED_CALENDAR_POLICY}".`);
+        process.exit(1);
+    }
+    if (['unsubscribe', 'delete'].includes(ORPHANED_CALENDAR_POLICY) && ALLOW_CALENDAR_DELETION !== 'true') {
+        console.error(`FATAL: ORPHANED_CALENDAR_POLICY "${ORPHANED_CALENDAR_POLICY}" removes calendars with all their events; set ALLOW_CALENDAR_DELETION=true to confirm.`);
+        process.exit(1);
+    }
+    if (!['delete', 'mark', 'archive'].includes(COMPLETED_TASK_POLICY)) {
+        console.error(`FATAL: COMPLETED_TASK_POLICY must be "delete", "mark" or "archive", got "${COMPLETED_TASK_POLICY}".`);
+        process.exit(1);
+    }
+    if (!(Number(COMPLETED_RETENTION_DAYS) >= 0)) {
+        console.error("FATAL: COMPLETED_RETENTION_DAYS must be zero or a positive number.");
+        process.exit(1);
+    }
+    if (!['project', 'single', 'label', 'assignee', 'priority'].includes(CALENDAR_ROUTING)) {
+        console.error(`FATAL: CALENDAR_ROUTING must be "project", "single", "label", "assignee" or "priority", got "${CALENDAR_ROUTING}".`);
+        process.exit(1);
+    }
+    if (TARGET_CALENDAR_ID && CALENDAR_ROUTING !== 'single') {
+        console.error("FATAL: TARGET_CALENDAR_ID only works with CALENDAR_ROUTING=single.");
+        process.exit(1);
+    }
+    const priorityBands = PRIORITY_BANDS.split(',').map(band => /^\s*([^:]+?)\s*:\s*(\d)\s*-\s*(\d)\s*$/.exec(band));
+    if (priorityBands.some(band => !band)) {
+        console.error(`FATAL: PRIORITY_BANDS must look like "Low:0-1,Normal:2-3,Urgent:4-5", got "${PRIORITY_BANDS}".`);
+        process.exit(1);
+    }
+    if (!['true', 'false'].includes(ASSIGNEES_AS_ATTENDEES)) {
+        console.error(`FATAL: ASSIGNEES_AS_ATTENDEES must be "true" or "false", got "${ASSIGNEES_AS_ATTENDEES}".`);
+        process.exit(1);
+    }
+    // Google rejects every event with attendees from a service account, so no task would sync at all.
+    if (ASSIGNEES_AS_ATTENDEES === 'true' && !oauthMode) {
+        console.error("FATAL: ASSIGNEES_AS_ATTENDEES needs GOOGLE_AUTH_MODE=oauth; a service account can't invite attendees.");
+        process.exit(1);
+    }
+    if (!['all', 'externalOnly', 'none'].includes(SEND_UPDATES)) {
+        console.error(`FATAL: SEND_UPDATES must be "all", "externalOnly" or "none", got "${SEND_UPDATES}".`);
+        process.exit(1);
+    }
+    if (!['label', 'project', 'none'].includes(EVENT_COLOR_SOURCE)) {
+        console.error(`FATAL: EVENT_COLOR_SOURCE must be "label", "project" or "none", got "${EVENT_COLOR_SOURCE}".`);
+        process.exit(1);
+    }
+    if (!EVENT_SUMMARY_TEMPLATE.includes('{title}')) {
+        console.error("FATAL: EVENT_SUMMARY_TEMPLATE must contain {title}.");
+        process.exit(1);
+    }
+    if (!['popup', 'email'].includes(REMINDER_METHOD)) {
+        console.error(`FATAL: REMINDER_METHOD must be "popup" or "email", got "${REMINDER_METHOD}".`);
+        process.exit(1);
+    }
+    const projectPatterns = {
+        include: parseProjectPatterns(SYNC_PROJECTS),
+        exclude: parseProjectPatterns(SKIP_PROJECTS),
+        savedFilters: parseProjectPatterns(SYNC_SAVED_FILTERS)
+    };
+    if (Object.values(projectPatterns).flat().some(pattern => /^parent:\s*$/.test(pattern))) {
+        console.error('FATAL: "parent:" entries in SYNC_PROJECTS, SKIP_PROJECTS and SYNC_SAVED_FILTERS need a project ID or title after them.');
+        process.exit(1);
+    }
+    // Google Calendar ACL roles, weakest first.
+    const ACL_ROLES = ['freeBusyReader', 'reader', 'writer', 'owner'];
+    let sharingRules;
+    try {
+        sharingRules = parseSharingRules();
+    } catch (error) {
+        console.error(`FATAL: CALENDAR_SHARING is invalid: ${error.message}`);
+        process.exit(1);
+    }
+    if (![SYNC_ARCHIVED_PROJECTS, ROLL_UP_CHILD_PROJECTS, SHARE_WITH_PROJECT_MEMBERS].every(value => ['true', 'false'].includes(value))) {
+        console.error("FATAL: SYNC_ARCHIVED_PROJECTS, ROLL_UP_CHILD_PROJECTS and SHARE_WITH_PROJECT_MEMBERS must be \"true\" or \"false\".");
+        process.exit(1);
+    }
+    const memberRoles = MEMBER_ROLES.split(',').map(role => role.trim());
+    if (memberRoles.length !== 3 || !memberRoles.every(role => ACL_ROLES.includes(role))) {
+        console.error(`FATAL: MEMBER_ROLES must list three roles out of ${ACL_ROLES.join(', ')}, for read-only, read & write and admin.`);
+        process.exit(1);
+    }
+    let vikunjaEmailMap;
+    try {
+        // Looked up case-insensitively, by lower-cased username or "team:<name>".
+        vikunjaEmailMap = Object.fromEntries(Object.entries(JSON.parse(VIKUNJA_EMAIL_MAP || '{}'))
+            .map(([name, email]) => [name.toLowerCase(), email]));
+    } catch (error) {
+        console.error(`FATAL: VIKUNJA_EMAIL_MAP is not valid JSON: ${error.message}`);
+        process.exit(1);
+    }
+    // Google only accepts five reminder overrides, each at most four weeks before the event.
+    const MAX_REMINDERS = 5;
+    const MAX_REMINDER_MINUTES = 40320;
+    const defaultReminderMinutes = (DEFAULT_REMINDER_MINUTES || '').split(',').filter(m => m.trim() !== '').map(Number);
+    if (defaultReminderMinutes.some(m => !Number.isInteger(m) || m < 0 || m > MAX_REMINDER_MINUTES)
+        || defaultReminderMinutes.length > MAX_REMINDERS) {
+        console.error(`FATAL: DEFAULT_REMINDER_MINUTES must be a comma-separated list of at most ${MAX_REMINDERS} whole minutes, each ${MAX_REMINDER_MINUTES} (four weeks) or less.`);
+        process.exit(1);
+    }
     
     // --- Initialize Google API Client ---
-    const auth = new google.auth.GoogleAuth({
-        keyFile: GOOGLE_APPLICATION_CREDENTIALS,
-        scopes: ['https://www.googleapis.com/auth/calendar'],
-    });
+    // With GOOGLE_AUTH_MODE=oauth the sync acts as you, so calendars are created in your own account.
+    const auth = oauthMode
+        ? createOAuthClient()
+        : new google.auth.GoogleAuth({
+            keyFile: GOOGLE_APPLICATION_CREDENTIALS,
+            scopes: [GOOGLE_CALENDAR_SCOPE],
+        });
     const calendar = google.calendar({ version: 'v3', auth });
 
+    // --- OAuth User Credentials ---
+    function readOAuthClient(redirectUri) {
+        const clientFile = JSON.parse(fs.readFileSync(GOOGLE_OAUTH_CLIENT_FILE, 'utf8'));
+        const { client_id: clientId, client_secret: clientSecret } = clientFile.installed || clientFile.web || clientFile;
+        return new google.auth.OAuth2(clientId, clientSecret, redirectUri);
+    }
+
+    function saveOAuthToken(token) {
+        fs.writeFileSync(GOOGLE_OAUTH_TOKEN_FILE, JSON.stringify(token, null, 2), { mode: 0o600 });
+    }
+
+    function createOAuthClient() {
+        let token;
+        try {
+            token = JSON.parse(fs.readFileSync(GOOGLE_OAUTH_TOKEN_FILE, 'utf8'));
+        } catch (error) {
+            console.error(`FATAL: No Google token at ${GOOGLE_OAUTH_TOKEN_FILE}; run "npm run authorize" first. (${error.message})`);
+            process.exit(1);
+        }
+        const client = readOAuthClient();
+        client.setCredentials(token);
+        // Access tokens are refreshed as they expire; store each new one so restarts don't have to refresh again.
+        client.on('tokens', tokens => {
+            token = { ...token, ...tokens };
+            try {
+                saveOAuthToken(token);
+            } catch (error) {
+                console.error(`Could not save the refreshed Google token to ${GOOGLE_OAUTH_TOKEN_FILE}:`, error.message);
+            }
+        });
+        return client;
+    }
+
+    // Installed-app flow: Google redirects the browser back to a one-off server on the loopback interface,
+    // with PKCE and a state value tying the answer to this request.
+    async function authorizeGoogleAccount() {
+        const app = express();
+        const server = await new Promise((resolve, reject) => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening)).on('error', reject);
+        });
+        const redirectUri = `http://127.0.0.1:${server.address().port}`;
+        const client = readOAuthClient(redirectUri);
+        const { codeVerifier, codeChallenge } = await client.generateCodeVerifierAsync();
+        const state = crypto.randomBytes(16).toString('hex');
+
+        try {
+            const code = await new Promise((resolve, reject) => {
+                const timeout = setTimeout(() => reject(new Error('No answer from Google within 5 minutes.')), 5 * 60 * 1000);
+                app.get('/', (req, res) => {
+                    if (req.query.state !== state) {
+                        return res.status(400).send('Unexpected request.');
+                    }
+                    clearTimeout(timeout);
+                    if (req.query.error) {
+                        res.send('Authorization was not granted. You can close this window.');
+                        return reject(new Error(`Google returned "${req.query.error}".`));
+                    }
+                    res.send('Authorization complete. You can close this window.');
+                    resolve(req.query.code);
+                });
+
+                console.log("Open this URL in a browser on this machine to let the sync manage your Google calendars:\n");
+                console.log(client.generateAuthUrl({
+                    access_type: 'offline',
+                    prompt: 'consent',
+                    scope: [GOOGLE_CALENDAR_SCOPE],
+                    state,
+                    code_challenge_method: 'S256',
+                    code_challenge: codeChallenge
+                }));
+            });
+
+            const { tokens } = await client.getToken({ code, codeVerifier, redirect_uri: redirectUri });
+            if (!tokens.refresh_token) {
+                console.error("Google sent no refresh token, so the sync will stop working once this access token expires. Remove the app's access in your Google account settings and authorize again.");
+            }
+            saveOAuthToken(tokens);
+            console.log(`Saved the Google token to ${GOOGLE_OAUTH_TOKEN_FILE}.`);
+        } finally {
+            server.close();
+        }
+    }
+
+    // --- Initialize State Store ---
+    // mappings: each Vikunja task ID to the Google event created for it: { calendarId, eventId, etag, hash, syncedAt }.
+    // eventCache: per calendar, the events seen so far and the syncToken to fetch only what changed since.
+    // taskCache/vikunjaSync: the Vikunja tasks with dates, and when they were last fetched in full or in part.
+    // calendars: each managed calendar's route key (see Calendar Routing) to its Google calendar ID, so renames don't orphan it.
+    // sharing: per calendar, the ACL rule IDs this sync granted (see reconcileCalendarSharing()).
+    const dbFile = SYNC_DB_FILE || path.join(__dirname, profileName ? `db-${profileName}.json` : 'db.json');
+    const db = new Low(new JSONFile(dbFile), { mappings: {}, eventCache: {}, taskCache: {}, vikunjaSync: {}, calendars: {}, sharing: {} });
+    await db.read();
+    if (!db.data.mappings || Array.isArray(db.data.mappings)) {
+        // Older db.json files used an (always empty) array here.
+        db.data.mappings = {};
+    }
+    db.data.eventCache = db.data.eventCache || {};
+    db.data.taskCache = db.data.taskCache || {};
+    db.data.vikunjaSync = db.data.vikunjaSync || {};
+    db.data.calendars = db.data.calendars || {};
+    db.data.sharing = db.data.sharing || {};
+
     // --- Helper function for API call delay ---
     const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
+    // --- Google Request Layer ---
+    // Every Calendar API call goes through googleRequest(): a token bucket keeps us under GOOGLE_REQUESTS_PER_SECOND,
+    // at most GOOGLE_CONCURRENCY calls are in flight, and rate-limit or server errors are retried with backoff.
+    const GOOGLE_BATCH_URL = 'https://www.googleapis.com/batch/calendar/v3';
+    const GOOGLE_BATCH_SIZE = 50;
+    const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+    function createTokenBucket(ratePerSecond) {
+        // Room for at least one token, or rates below one per second could never pay for a call.
+        const capacity = Math.max(1, ratePerSecond);
+        let tokens = capacity;
+        let lastRefill = Date.now();
+        // count > 1 takes one token per call inside a batch, since Google counts each of them against the quota.
+        return async function takeToken(count = 1) {
+            for (let taken = 0; taken < count;) {
+                const now = Date.now();
+                tokens = Math.min(capacity, tokens + (now - lastRefill) / 1000 * ratePerSecond);
+                lastRefill = now;
+                if (tokens >= 1) {
+                    tokens -= 1;
+                    taken++;
+                    continue;
+                }
+                await delay(Math.ceil((1 - tokens) / ratePerSecond * 1000));
+            }
+        };
+    }
+
+    function createSemaphore(limit) {
+        let active = 0;
+        const waiting = [];
+        return async function withSlot(fn) {
+            if (active < limit) {
+                active++;
+            } else {
+                // The releasing caller hands its slot straight to us, so `active` stays the same.
+                await new Promise(resolve => waiting.push(resolve));
+            }
+            try {
+                return await fn();
+            } finally {
+                const next = waiting.shift();
+                if (next) {
+                    next();
+                } else {
+                    active--;
+                }
+            }
+        };
+    }
+
+    // Runs fn over all items with at most `limit` running at once.
+    async function runWithConcurrency(items, limit, fn) {
+        let nextIndex = 0;
+        const worker = async () => {
+            while (nextIndex < items.length) {
+                const item = items[nextIndex++];
+                await fn(item);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    }
+
+    const takeGoogleToken = createTokenBucket(Number(GOOGLE_REQUESTS_PER_SECOND));
+    const withGoogleSlot = createSemaphore(Number(GOOGLE_CONCURRENCY));
+
+    function googleErrorStatus(error) {
+        return Number(error.status || error.response?.status || error.code) || null;
+    }
+
+    function isRetryableGoogleError(status, reason) {
+        return status === 429 || status >= 500 || (status === 403 && RATE_LIMIT_REASONS.includes(reason));
+    }
+
+    // Exponential backoff with full jitter: a random wait of up to 1s, 2s, 4s, ... capped at 32s.
+    function backoffDelay(attempt) {
+        return Math.random() * Math.min(32000, 1000 * 2 ** attempt);
+    }
+
+    // callCount is the number of API calls fn makes: more than one for a batch.
+    async function googleRequest(fn, callCount = 1) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await withGoogleSlot(async () => {
+                    await takeGoogleToken(callCount);
+                    return fn();
+                });
+            } catch (error) {
+                const status = googleErrorStatus(error);
+                const reason = error.errors?.[0]?.reason || error.response?.data?.error?.errors?.[0]?.reason;
+                if (attempt >= Number(GOOGLE_MAX_RETRIES) || !isRetryableGoogleError(status, reason)) {
+                    throw error;
+                }
+                const wait = backoffDelay(attempt);
+                console.log(`Google API returned ${status}${reason ? ` (${reason})` : ''}; retrying in ${Math.round(wait)} ms.`);
+                await delay(wait);
+            }
+        }
+    }
+
+    // Sends up to GOOGLE_BATCH_SIZE calls as one multipart/mixed request to Google's batch endpoint.
+    // Each request is { method, path, body }; the result is one { status, body } per request, in the same order.
+    async function sendGoogleBatch(requests) {
+        const boundary = `batch_${crypto.randomBytes(12).toString('hex')}`;
+        const parts = requests.map((request, index) => [
+            `--${boundary}`,
+            'Content-Type: application/http',
+            `Content-ID: <item${index}>`,
+            '',
+            `${request.method} ${request.path}`,
+            ...(request.body ? ['Content-Type: application/json', '', JSON.stringify(request.body)] : ['']),
+            ''
+        ].join('\r\n'));
+
+        const authHeaders = await auth.getRequestHeaders();
+        const response = await axios.post(GOOGLE_BATCH_URL, `${parts.join('')}--${boundary}--`, {
+            headers: {
+                ...Object.fromEntries(authHeaders.entries ? authHeaders.entries() : Object.entries(authHeaders)),
+                'Content-Type': `multipart/mixed; boundary=${boundary}`
+            },
+            responseType: 'text',
+            transformResponse: data => data
+        });
+
+        const responseBoundary = /boundary=([^;]+)/.exec(response.headers['content-type'])[1].replace(/"/g, '');
+        const results = new Array(requests.length).fill(null);
+        for (const part of response.data.split(`--${responseBoundary}`)) {
+            const index = /Content-ID:\s*<response-item(\d+)>/i.exec(part)?.[1];
+            const statusLine = /HTTP\/[\d.]+ (\d{3})/.exec(part);
+            if (index === undefined || !statusLine) continue;
+            const rawBody = part.slice(statusLine.index).split(/\r?\n\r?\n/).slice(1).join('\n\n').trim();
+            let body = null;
+            try {
+                body = rawBody ? JSON.parse(rawBody) : null;
+            } catch (error) {
+                body = rawBody;
+            }
+            results[Number(index)] = { status: Number(statusLine[1]), body };
+        }
+        return results;
+    }
+
+    // Sends any number of calls in batches, retrying the calls inside a batch that hit rate limits or server errors.
+    async function batchGoogleRequests(requests) {
+        const results = new Array(requests.length).fill(null);
+        let pending = requests.map((request, index) => index);
+
+        for (let attempt = 0; pending.length > 0; attempt++) {
+            const retry = [];
+            const chunks = [];
+            for (let i = 0; i < pending.length; i += GOOGLE_BATCH_SIZE) {
+                chunks.push(pending.slice(i, i + GOOGLE_BATCH_SIZE));
+            }
+            await runWithConcurrency(chunks, Number(GOOGLE_CONCURRENCY), async chunk => {
+                const chunkResults = await googleRequest(() => sendGoogleBatch(chunk.map(index => requests[index])), chunk.length);
+                chunk.forEach((requestIndex, i) => {
+                    const result = chunkResults[i] || { status: 500, body: 'Missing from batch response' };
+                    const reason = result.body?.error?.errors?.[0]?.reason;
+                    if (isRetryableGoogleError(result.status, reason) && attempt < Number(GOOGLE_MAX_RETRIES)) {
+                        retry.push(requestIndex);
+                    } else {
+                        results[requestIndex] = result;
+                    }
+                });
+            });
+            pending = retry;
+            if (pending.length > 0) {
+                const wait = backoffDelay(attempt);
+                console.log(`${pending.length} batched Google call(s) were rate limited or failed; retrying in ${Math.round(wait)} ms.`);
+                await delay(wait);
+            }
+        }
+        return results;
+    }
+
+    function eventsPath(calendarId, eventId) {
+        const base = `/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events`;
+        return `${eventId ? `${base}/${encodeURIComponent(eventId)}` : base}?sendUpdates=${SEND_UPDATES}`;
+    }
+
 
     // 2. --- HELPER FUNCTIONS ---
     // ----------------------------------------------------------------
 
+    // --- Dry Run ---
+    // Every write to Google or Vikunja asks this first; in --dry-run mode the change is recorded instead of made.
+    const plannedChanges = [];
+
+    function skipForDryRun(action, message, details = {}) {
+        if (!dryRun) {
+            return false;
+        }
+        plannedChanges.push({ action, message, ...details });
+        return true;
+    }
+
+    function printPlan() {
+        if (jsonOutput) {
+            const counts = {};
+            plannedChanges.forEach(change => {
+                counts[change.action] = (counts[change.action] || 0) + 1;
+            });
+            // With several profiles, main() prints all their plans as one document.
+            if (profileName) {
+                profilePlans[profileName] = { counts, changes: plannedChanges };
+                return;
+            }
+            process.stdout.write(`${JSON.stringify({ counts, changes: plannedChanges }, null, 2)}\n`);
+            return;
+        }
+        console.log(`--- Dry Run: ${plannedChanges.length} planned change(s), nothing was written ---`);
+        plannedChanges.forEach(change => console.log(`  [${change.action}] ${change.message}`));
+    }
+
     // --- Vikunja Functions ---
+    // Archived projects are included, for SYNC_ARCHIVED_PROJECTS; selectProjects() leaves them out by default.
     async function getVikunjaProjects() {
         try {
-            const response = await axios.get(`${VIKUNJA_API_URL}/projects`, {
-                headers: { Authorization: `Bearer ${VIKUNJA_API_TOKEN}` }
-            });
-            return response.data;
+            return await getAllVikunjaPages('/projects', { is_archived: true });
         } catch (error) {
-            console.error("Error fetching Vikunja projects:", error.message);
-            return [];
+            // An empty list here would look like every project was deleted, so abort the cycle instead.
+            throw new Error(`Could not fetch Vikunja projects: ${error.message}`);
         }
     }
 
-	async function getVikunjaTasks() {
+	// With updatedSince, returns every task changed after that time (with or without dates) so that
+	// tasks whose dates were cleared are noticed too; otherwise only the tasks that belong on a calendar.
+	async function getVikunjaTasks(updatedSince = null) {
+    const filter = updatedSince ? `updated > ${updatedSince}` : 'due_date != null || start_date != null';
     try {
         let allTasks = [];
         let page = 1;
@@ -74,7 +630,7 @@ async function run() {
             console.log(`Fetching tasks page ${page}...`);
             const response = await axios.get(`${VIKUNJA_API_URL}/tasks/all`, {
                 headers: { Authorization: `Bearer ${VIKUNJA_API_TOKEN}` },
-                params: { page: page }
+                params: { page: page, filter }
             });
 
             const tasks = response.data;
@@ -91,236 +647,1824 @@ async function run() {
         }
 
         console.log(`Total tasks fetched: ${allTasks.length}`);
-        return allTasks.filter(task => task.due_date);
+        return updatedSince ? allTasks : allTasks.filter(task => taskSchedule(task));
     } catch (error) {
-        console.error("Error fetching Vikunja tasks:", error.message);
-        return [];
+        throw new Error(`Could not fetch Vikunja tasks: ${error.message}`);
     }
 	}
 
-    // --- Google Calendar Functions ---
-    async function getManagedCalendars() {
-        try {
-            const response = await calendar.calendarList.list();
-            return response.data.items.filter(cal => cal.summary.startsWith(CALENDAR_PREFIX));
-        } catch (error) {
-            console.error("Error fetching Google Calendars:", error.message);
-            return [];
+    // Keeps db.data.taskCache in step with Vikunja. Most cycles only fetch tasks updated since the last successful
+    // sync; every VIKUNJA_FULL_SYNC_HOURS (or with --full-sync) all tasks are fetched so deleted ones drop out.
+    async function loadVikunjaTasks() {
+        const { lastSyncAt, lastFullSyncAt } = db.data.vikunjaSync;
+        const fullSyncDue = fullSyncRequested || !lastSyncAt || !lastFullSyncAt
+            || dayjs().diff(dayjs(lastFullSyncAt), 'hour', true) >= Number(VIKUNJA_FULL_SYNC_HOURS);
+
+        if (fullSyncDue) {
+            console.log("Fetching all Vikunja tasks (full reconciliation).");
+            const tasks = await getVikunjaTasks();
+            db.data.taskCache = Object.fromEntries(tasks.map(task => [task.id, task]));
+            db.data.vikunjaSync.lastFullSyncAt = new Date().toISOString();
+            fullSyncRequested = false;
+        } else {
+            // Overlap a little with the previous window in case the clocks of this host and Vikunja disagree.
+            const since = dayjs(lastSyncAt).subtract(1, 'minute').toISOString();
+            console.log(`Fetching Vikunja tasks updated since ${since}.`);
+            const changedTasks = await getVikunjaTasks(since);
+            for (const task of changedTasks) {
+                if (taskSchedule(task)) {
+                    db.data.taskCache[task.id] = task;
+                } else {
+                    delete db.data.taskCache[task.id];
+                }
+            }
         }
+        return Object.values(db.data.taskCache);
     }
 
-    async function createGoogleCalendar(projectName) {
-        const calendarName = `${CALENDAR_PREFIX} ${projectName}`;
-        console.log(`Creating new Google Calendar: "${calendarName}"`);
+    // Saved filters have no tasks of their own in /tasks/all; their tasks come from the filter's list view.
+    async function getSavedFilterTasks(savedFilter) {
+        const headers = { Authorization: `Bearer ${VIKUNJA_API_TOKEN}` };
         try {
-            const response = await calendar.calendars.insert({
-                requestBody: {
-                    summary: calendarName,
-                    timeZone: 'UTC'
-                }
-            });
-            return response.data;
+            const { data: views } = await axios.get(`${VIKUNJA_API_URL}/projects/${savedFilter.id}/views`, { headers });
+            const view = views.find(v => v.view_kind === 'list') || views[0];
+            if (!view) {
+                return [];
+            }
+
+            let tasks = [];
+            let page = 1;
+            let totalPages = 1;
+            do {
+                const response = await axios.get(`${VIKUNJA_API_URL}/projects/${savedFilter.id}/views/${view.id}/tasks`, {
+                    headers,
+                    params: { page }
+                });
+                tasks = tasks.concat(response.data);
+                totalPages = parseInt(response.headers['x-pagination-total-pages'] || '1');
+                page++;
+            } while (page <= totalPages);
+
+            console.log(`Saved filter "${savedFilter.title}" matches ${tasks.length} task(s).`);
+            return tasks;
         } catch (error) {
-            console.error(`Error creating calendar for project "${projectName}":`, error.message);
-            return null;
+            throw new Error(`Could not fetch tasks of saved filter "${savedFilter.title}": ${error.message}`);
         }
     }
 
-    async function ensureCalendarIsShared(calendarId, calendarSummary) {
+    async function getAllVikunjaPages(apiPath, params = {}) {
+        let items = [];
+        let page = 1;
+        let totalPages = 1;
+        do {
+            const response = await axios.get(`${VIKUNJA_API_URL}${apiPath}`, {
+                headers: { Authorization: `Bearer ${VIKUNJA_API_TOKEN}` },
+                params: { ...params, page }
+            });
+            items = items.concat(response.data || []);
+            totalPages = parseInt(response.headers['x-pagination-total-pages'] || '1');
+            page++;
+        } while (page <= totalPages);
+        return items;
+    }
+
+    // The users and teams a project is shared with, each carrying its permission (0 read-only, 1 read & write, 2 admin).
+    async function getProjectMembers(project) {
         try {
-            const rules = await calendar.acl.list({ calendarId });
-            const isAlreadyShared = rules.data.items.some(rule => rule.scope.value === GOOGLE_CALENDAR_SHARE_WITH_EMAIL);
-
-            if (!isAlreadyShared) {
-                console.log(`Sharing calendar "${calendarSummary}" with ${GOOGLE_CALENDAR_SHARE_WITH_EMAIL}...`);
-                await calendar.acl.insert({
-                    calendarId: calendarId,
-                    requestBody: {
-                        role: 'owner',
-                        scope: {
-                            type: 'user',
-                            value: GOOGLE_CALENDAR_SHARE_WITH_EMAIL,
-                        },
-                    },
-                });
-            }
+            const [users, teams] = await Promise.all([
+                getAllVikunjaPages(`/projects/${project.id}/users`),
+                getAllVikunjaPages(`/projects/${project.id}/teams`)
+            ]);
+            return { users, teams };
         } catch (error) {
-            console.error(`Failed to share calendar "${calendarSummary}":`, error.message);
+            throw new Error(`Could not fetch members of Vikunja project "${project.title}": ${error.message}`);
         }
     }
 
-
-    async function getGoogleEvents(calendarId) {
+    async function getVikunjaTeamMembers(team) {
         try {
-            const response = await calendar.events.list({ calendarId });
-            return response.data.items;
+            const response = await axios.get(`${VIKUNJA_API_URL}/teams/${team.id}`, {
+                headers: { Authorization: `Bearer ${VIKUNJA_API_TOKEN}` }
+            });
+            return response.data.members || [];
         } catch (error) {
-            console.error(`Error fetching events for calendar ${calendarId}:`, error.message);
-            return [];
+            throw new Error(`Could not fetch members of Vikunja team "${team.name}": ${error.message}`);
         }
     }
 
-    function buildGoogleEvent(task) {
-        // Use the new VIKUNJA_FRONTEND_URL from the .env file
-        const viewLink = `${VIKUNJA_FRONTEND_URL}/projects/${task.project_id}/tasks/${task.id}`;
-        return {
-            summary: task.title,
-            description: `${task.description || ''}\n\nView in Vikunja: ${viewLink}`,
-            start: { date: dayjs(task.due_date).format('YYYY-MM-DD') },
-            end: { date: dayjs(task.due_date).add(1, 'day').format('YYYY-MM-DD') },
-            transparency: 'opaque',
-            extendedProperties: {
-                private: {
-                    vikunjaTaskId: String(task.id)
-                }
+    // Returns null when the task no longer exists.
+    async function getVikunjaTask(taskId) {
+        try {
+            const response = await axios.get(`${VIKUNJA_API_URL}/tasks/${taskId}`, {
+                headers: { Authorization: `Bearer ${VIKUNJA_API_TOKEN}` }
+            });
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return null;
             }
-        };
+            throw new Error(`Could not fetch Vikunja task ${taskId}: ${error.message}`);
+        }
     }
 
+    async function updateVikunjaTask(task) {
+        if (skipForDryRun('updateTask', `Update Vikunja task "${task.title}" (ID: ${task.id}) from Google Calendar`, { taskId: task.id, task })) {
+            return null;
+        }
+        try {
+            const response = await axios.post(`${VIKUNJA_API_URL}/tasks/${task.id}`, task, {
+                headers: { Authorization: `Bearer ${VIKUNJA_API_TOKEN}` }
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`Error updating Vikunja task ${task.id}:`, error.message);
+            return null;
+        }
+    }
 
-    // 3. --- CORE SYNC LOGIC ---
-    // -----------------------------------------------------------
-    console.log("--- Starting Sync Cycle ---");
-    
-    const vikunjaProjects = await getVikunjaProjects();
-    const vikunjaTasks = await getVikunjaTasks();
+    // --- Project Selection ---
+    // SYNC_PROJECTS, SKIP_PROJECTS and SYNC_SAVED_FILTERS are comma-separated lists whose entries are a project ID,
+    // a title glob such as "Client *", or "parent:<ID or glob>" for every project anywhere below a matching one.
+    function parseProjectPatterns(list) {
+        return (list || '').split(',').map(pattern => pattern.trim()).filter(Boolean);
+    }
 
-	for (const task of vikunjaTasks) {
-	   console.log(`${task.title}`);
-	}
+    function globToRegExp(glob) {
+        const pattern = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+        return new RegExp(`^${pattern}$`, 'i');
+    }
 
+    // Walks up parent_project_id, stopping at a project seen before in case the data ever has a cycle.
+    function projectAncestors(project, projectMap) {
+        const ancestors = [];
+        const seen = new Set([project.id]);
+        let parent = projectMap.get(project.parent_project_id);
+        while (parent && !seen.has(parent.id)) {
+            ancestors.push(parent);
+            seen.add(parent.id);
+            parent = projectMap.get(parent.parent_project_id);
+        }
+        return ancestors;
+    }
 
-    let googleCalendars = await getManagedCalendars();
-    
-    const uncompletedVikunjaTasks = vikunjaTasks.filter(task => !task.done);
+    function projectMatches(project, pattern, projectMap) {
+        if (pattern.startsWith('parent:')) {
+            const parentPattern = pattern.slice('parent:'.length).trim();
+            return projectAncestors(project, projectMap).some(ancestor => projectMatches(ancestor, parentPattern, projectMap));
+        }
+        if (/^-?\d+$/.test(pattern)) {
+            return project.id === Number(pattern);
+        }
+        return globToRegExp(pattern).test(project.title);
+    }
 
-    console.log(`Found ${vikunjaProjects.length} projects and ${vikunjaTasks.length} total tasks with due dates.`);
-    console.log(`Syncing ${uncompletedVikunjaTasks.length} uncompleted tasks.`);
-    console.log(`Found ${googleCalendars.length} managed calendars in Google.`);
+    // Splits Vikunja's project list into the projects to sync and the saved filters to sync as calendars.
+    // Saved filters (and the Favorites pseudo-project) have negative IDs and are only synced when SYNC_SAVED_FILTERS names them.
+    function selectProjects(projects) {
+        const projectMap = new Map(projects.map(p => [p.id, p]));
+        const matchesAny = (project, patterns) => patterns.some(pattern => projectMatches(project, pattern, projectMap));
+        const isArchived = project => project.is_archived || projectAncestors(project, projectMap).some(p => p.is_archived);
 
-    const projectMap = new Map(vikunjaProjects.map(p => [p.id, p]));
+        const syncedProjects = projects.filter(project => project.id > 0
+            && (SYNC_ARCHIVED_PROJECTS === 'true' || !isArchived(project))
+            && (projectPatterns.include.length === 0 || matchesAny(project, projectPatterns.include))
+            && !matchesAny(project, projectPatterns.exclude));
+        const savedFilters = projects.filter(project => project.id < 0
+            && matchesAny(project, projectPatterns.savedFilters)
+            && !matchesAny(project, projectPatterns.exclude));
+        return { syncedProjects, savedFilters };
+    }
 
-    // --- Step 2: Reconcile Calendars ---
-    for (const project of vikunjaProjects) {
-        const expectedCalName = `${CALENDAR_PREFIX} ${project.title}`;
-        let gCal = googleCalendars.find(cal => cal.summary === expectedCalName);
+    // "Work / Client A / Backlog": titles from the top-level project down, so same-named child projects don't collide.
+    function projectPath(project, projectMap) {
+        return [...projectAncestors(project, projectMap).reverse(), project].map(p => p.title).join(' / ');
+    }
 
-        if (!gCal) {
-            const newCal = await createGoogleCalendar(project.title);
-            if (newCal) {
-                googleCalendars.push(newCal);
-                await delay(200);
-            }
+    // The project whose calendar holds a project's tasks: itself, or with ROLL_UP_CHILD_PROJECTS its topmost synced ancestor.
+    function calendarProjectFor(project, projectMap, syncedProjectIds) {
+        if (ROLL_UP_CHILD_PROJECTS !== 'true') {
+            return project;
         }
-    }
-    
-    // --- Verifying Calendar Permissions ---
-    for (const cal of googleCalendars) {
-        await ensureCalendarIsShared(cal.id, cal.summary);
-        await delay(200);
-    }
-    
-    // --- Step 3: Reconcile Events ---
-    const allGoogleEvents = new Map();
-    for (const cal of googleCalendars) {
-        const events = await getGoogleEvents(cal.id);
-        events.forEach(event => {
-            const vikunjaId = event.extendedProperties?.private?.vikunjaTaskId;
-            if (vikunjaId) {
-                allGoogleEvents.set(vikunjaId, { ...event, calendarId: cal.id });
-            }
-        });
-        await delay(200);
+        const syncedAncestors = projectAncestors(project, projectMap).filter(p => syncedProjectIds.has(p.id));
+        return syncedAncestors.length > 0 ? syncedAncestors[syncedAncestors.length - 1] : project;
     }
 
-    const vikunjaTaskMap = new Map(uncompletedVikunjaTasks.map(task => [String(task.id), task]));
+    // A task in a saved filter also has an event in its project's calendar, so saved filter events are keyed by both.
+    function syncKey(task) {
+        return task.savedFilterId ? `${task.id}@${task.savedFilterId}` : String(task.id);
+    }
 
-    for (const task of uncompletedVikunjaTasks) {
-        const taskIdStr = String(task.id);
-        let existingGEvent = allGoogleEvents.get(taskIdStr);
-        
-        const project = task.project ? task.project : projectMap.get(task.project_id);
-        
-        if (!project) {
-            console.log(`Skipping task "${task.title}" (ID: ${task.id}) because its project could not be determined.`);
-            continue;
+    function eventSyncKey(gEvent) {
+        const { vikunjaTaskId, vikunjaSavedFilterId } = gEvent.extendedProperties?.private || {};
+        if (!vikunjaTaskId) {
+            return null;
         }
-        
-        const projectCalName = `${CALENDAR_PREFIX} ${project.title}`;
-        const targetGCal = googleCalendars.find(cal => cal.summary === projectCalName);
+        return vikunjaSavedFilterId ? `${vikunjaTaskId}@${vikunjaSavedFilterId}` : vikunjaTaskId;
+    }
 
-        if (!targetGCal) {
-            console.log(`Skipping task ${task.id} because its project calendar "${projectCalName}" was not found or created.`);
-            continue;
+    // --- Google Calendar Functions ---
+    async function getManagedCalendars() {
+        try {
+            let calendars = [];
+            let pageToken;
+            do {
+                const response = await googleRequest(() => calendar.calendarList.list({ pageToken }));
+                calendars = calendars.concat(response.data.items || []);
+                pageToken = response.data.nextPageToken;
+            } while (pageToken);
+            // Calendars we created before stay managed after a hand-rename drops the prefix. Others have to be our own:
+            // one shared into the account, even by another install of this sync, is never taken over.
+            const knownIds = new Set(Object.values(db.data.calendars));
+            return calendars.filter(cal => {
+                if (knownIds.has(cal.id)) {
+                    return true;
+                }
+                if (cal.accessRole !== 'owner') {
+                    return false;
+                }
+                if (CALENDAR_KEY_PATTERN.test(cal.description || '')) {
+                    return calendarKeyFromDescription(cal.description) !== null;
+                }
+                // With your own account the list holds your personal calendars too, so a matching name is not enough.
+                return !oauthMode && (cal.summary || '').startsWith(CALENDAR_PREFIX);
+            });
+        } catch (error) {
+            throw new Error(`Could not fetch Google Calendars: ${error.message}`);
         }
+    }
 
-        const eventPayload = buildGoogleEvent(task);
+    function projectCalendarName(project, projectMap) {
+        return `${CALENDAR_PREFIX} ${projectPath(project, projectMap)}`;
+    }
+
+    // A user-owned calendar for TARGET_CALENDAR_ID. It is only written to: never renamed, reshared or retired.
+    async function getExternalCalendar(calendarId) {
+        try {
+            const response = await googleRequest(() => calendar.calendars.get({ calendarId }));
+            return { ...response.data, external: true };
+        } catch (error) {
+            throw new Error(`Could not open TARGET_CALENDAR_ID "${calendarId}"; is it shared with the sync's Google account? ${error.message}`);
+        }
+    }
+
+    // The key is also written into the calendar's description, so the link survives a lost or reset db.json.
+    // Keys are only unique to one sync, so the description also names the sync by its CALENDAR_PREFIX and profile.
+    const CALENDAR_KEY_PATTERN = /Synced from Vikunja(?: \((.*)\))?\. Calendar key: (\S+)/;
+    const calendarSyncTag = profileName ? `${CALENDAR_PREFIX}, profile ${profileName}` : CALENDAR_PREFIX;
+
+    function calendarDescription(key) {
+        return `Synced from Vikunja (${calendarSyncTag}). Calendar key: ${key}`;
+    }
+
+    // Untagged keys were written before the tag existed, when only a service account's own calendars were managed.
+    function calendarKeyFromDescription(description) {
+        const match = CALENDAR_KEY_PATTERN.exec(description || '');
+        if (!match || (match[1] === undefined ? oauthMode : match[1] !== calendarSyncTag)) {
+            return null;
+        }
+        return match[2];
+    }
+
+    // Finds the calendar for a key by its stored ID, then by the key in its description, and only then by name,
+    // which adopts calendars created before keys existed as long as no other key has claimed them.
+    function findManagedCalendar(key, expectedName, googleCalendars) {
+        const claimedIds = new Set(Object.entries(db.data.calendars).filter(([otherKey]) => otherKey !== key).map(([, id]) => id));
+        return googleCalendars.find(cal => cal.id === db.data.calendars[key])
+            || googleCalendars.find(cal => calendarKeyFromDescription(cal.description) === key)
+            || googleCalendars.find(cal => cal.summary === expectedName && !claimedIds.has(cal.id) && !CALENDAR_KEY_PATTERN.test(cal.description || ''))
+            || null;
+    }
+
+    async function createGoogleCalendar(calendarName, key) {
+        console.log(`Creating new Google Calendar: "${calendarName}"`);
+        if (skipForDryRun('createCalendar', `Create calendar "${calendarName}"`, { summary: calendarName, timeZone: CALENDAR_TIME_ZONE })) {
+            // Stands in for the new calendar so the rest of the plan can target it.
+            return { id: `dry-run:${calendarName}`, summary: calendarName, timeZone: CALENDAR_TIME_ZONE, dryRun: true };
+        }
+        try {
+            const response = await googleRequest(() => calendar.calendars.insert({
+                requestBody: {
+                    summary: calendarName,
+                    description: calendarDescription(key),
+                    timeZone: CALENDAR_TIME_ZONE
+                }
+            }));
+            return response.data;
+        } catch (error) {
+            console.error(`Error creating calendar "${calendarName}":`, error.message);
+            return null;
+        }
+    }
+
+    // Brings the summary back in line after the project was renamed (in Vikunja or by hand in Google) and adds the key
+    // to calendars adopted by name.
+    async function updateCalendarIdentity(gCal, expectedName, key) {
+        const requestBody = {};
+        if (gCal.summary !== expectedName) {
+            console.log(`Renaming calendar "${gCal.summary}" to "${expectedName}"`);
+            requestBody.summary = expectedName;
+        }
+        // Also tags descriptions written before the tag existed.
+        const [, tag, describedKey] = CALENDAR_KEY_PATTERN.exec(gCal.description || '') || [];
+        if (tag !== calendarSyncTag || describedKey !== key) {
+            requestBody.description = calendarDescription(key);
+        }
+        if (Object.keys(requestBody).length === 0) {
+            return;
+        }
+        if (skipForDryRun('updateCalendar', `Update calendar "${gCal.summary}": ${Object.keys(requestBody).join(', ')}`,
+            { calendarId: gCal.id, ...requestBody })) {
+            return;
+        }
+        try {
+            await googleRequest(() => calendar.calendars.patch({ calendarId: gCal.id, requestBody }));
+            Object.assign(gCal, requestBody);
+        } catch (error) {
+            console.error(`Error updating calendar "${gCal.summary}":`, error.message);
+        }
+    }
+
+    async function updateCalendarTimeZone(gCal) {
+        console.log(`Changing time zone of calendar "${gCal.summary}" from ${gCal.timeZone} to ${CALENDAR_TIME_ZONE}`);
+        if (skipForDryRun('updateCalendar', `Change time zone of "${gCal.summary}" to ${CALENDAR_TIME_ZONE}`,
+            { calendarId: gCal.id, timeZone: CALENDAR_TIME_ZONE })) {
+            return;
+        }
+        try {
+            const response = await googleRequest(() => calendar.calendars.patch({
+                calendarId: gCal.id,
+                requestBody: { timeZone: CALENDAR_TIME_ZONE }
+            }));
+            gCal.timeZone = response.data.timeZone;
+        } catch (error) {
+            console.error(`Error changing time zone of calendar "${gCal.summary}":`, error.message);
+        }
+    }
+
+    // The key a managed calendar was stored under, or failing that the one in its description.
+    function keyOfCalendar(gCal) {
+        const storedKey = Object.keys(db.data.calendars).find(key => db.data.calendars[key] === gCal.id);
+        return storedKey || calendarKeyFromDescription(gCal.description);
+    }
+
+    // Applies ORPHANED_CALENDAR_POLICY to a managed calendar whose project was deleted or is no longer synced.
+    // Apart from 'keep', the calendar is forgotten afterwards along with the mappings of the events in it.
+    async function retireOrphanedCalendar(gCal) {
+        const { id: calendarId, summary } = gCal;
+        if (ORPHANED_CALENDAR_POLICY === 'keep') {
+            console.log(`Calendar "${summary}" no longer belongs to a synced Vikunja project; leaving it as it is.`);
+            return;
+        }
+
+        const archivedName = `[archived] ${summary}`;
+        const descriptions = {
+            rename: `Rename orphaned calendar "${summary}" to "${archivedName}"`,
+            unsubscribe: `Unsubscribe from orphaned calendar "${summary}"`,
+            delete: `Delete orphaned calendar "${summary}" and all its events`
+        };
+        console.log(`${descriptions[ORPHANED_CALENDAR_POLICY]}.`);
+        if (skipForDryRun(`${ORPHANED_CALENDAR_POLICY}Calendar`, descriptions[ORPHANED_CALENDAR_POLICY], { calendarId, summary })) {
+            return;
+        }
+
+        try {
+            if (ORPHANED_CALENDAR_POLICY === 'rename') {
+                // Dropping the key stops the calendar being picked up, and archived again, by later cycles.
+                await googleRequest(() => calendar.calendars.patch({
+                    calendarId,
+                    requestBody: { summary: archivedName, description: 'Synced from Vikunja until its project stopped being synced.' }
+                }));
+            } else if (ORPHANED_CALENDAR_POLICY === 'unsubscribe') {
+                await googleRequest(() => calendar.calendarList.delete({ calendarId }));
+            } else {
+                await googleRequest(() => calendar.calendars.delete({ calendarId }));
+            }
+        } catch (error) {
+            if (![404, 410].includes(googleErrorStatus(error))) {
+                console.error(`Error handling orphaned calendar "${summary}":`, error.message);
+                return;
+            }
+        }
+
+        for (const [key, id] of Object.entries(db.data.calendars)) {
+            if (id === calendarId) delete db.data.calendars[key];
+        }
+        for (const [taskId, mapping] of Object.entries(db.data.mappings)) {
+            if (mapping.calendarId === calendarId) removeMapping(taskId);
+        }
+        delete db.data.eventCache[calendarId];
+        delete db.data.sharing[calendarId];
+    }
+
+    // --- Calendar Sharing ---
+    // CALENDAR_SHARING is a JSON list of rules such as
+    //   [{ "projects": "Client *", "email": "team@example.com", "type": "group", "role": "reader" }]
+    // "projects" takes the same entries as SYNC_PROJECTS and matches every calendar when left out; "type" is
+    // "user" (the default), "group" or "domain"; "role" is "freeBusyReader", "reader", "writer" or "owner".
+    // GOOGLE_CALENDAR_SHARE_WITH_EMAIL, when set, is a rule sharing every calendar with that address as owner.
+    // It is ignored with GOOGLE_AUTH_MODE=oauth, where the calendars already belong to you.
+    function parseSharingRules() {
+        const rules = CALENDAR_SHARING ? JSON.parse(CALENDAR_SHARING) : [];
+        if (!Array.isArray(rules)) {
+            throw new Error('expected a JSON list of rules.');
+        }
+        if (GOOGLE_CALENDAR_SHARE_WITH_EMAIL && !oauthMode) {
+            rules.unshift({ email: GOOGLE_CALENDAR_SHARE_WITH_EMAIL, role: 'owner' });
+        }
+        return rules.map(rule => {
+            const { projects = '', email, type = 'user', role } = rule;
+            if (!email) {
+                throw new Error(`rule ${JSON.stringify(rule)} has no "email".`);
+            }
+            if (!['user', 'group', 'domain'].includes(type)) {
+                throw new Error(`rule for ${email} has type "${type}"; expected "user", "group" or "domain".`);
+            }
+            if (!ACL_ROLES.includes(role)) {
+                throw new Error(`rule for ${email} has role "${role}"; expected one of ${ACL_ROLES.join(', ')}.`);
+            }
+            return { projects: parseProjectPatterns(Array.isArray(projects) ? projects.join(',') : String(projects)), email, type, role };
+        });
+    }
+
+    // Grants are keyed like Google's ACL rule IDs ("user:someone@example.com"). When an address
+    // is granted more than once, the strongest role wins.
+    // Google returns ACL scopes in lower case, so grants are compared by a lower-cased "type:value" key.
+    function aclScopeKey(type, value) {
+        return `${type}:${value}`.toLowerCase();
+    }
+
+    function addGrant(grants, grant) {
+        const scopeKey = aclScopeKey(grant.type, grant.value);
+        const current = grants.get(scopeKey);
+        if (!current || ACL_ROLES.indexOf(grant.role) > ACL_ROLES.indexOf(current.role)) {
+            grants.set(scopeKey, grant);
+        }
+    }
+
+    function desiredGrants(project, projectMap) {
+        const grants = new Map();
+        for (const rule of sharingRules) {
+            if (rule.projects.length > 0 && !(project && rule.projects.some(pattern => projectMatches(project, pattern, projectMap)))) {
+                continue;
+            }
+            addGrant(grants, { type: rule.type, value: rule.email, role: rule.role });
+        }
+        return grants;
+    }
+
+    // With SHARE_WITH_PROJECT_MEMBERS, mirrors Vikunja's own sharing: the owner counts as an admin, and each
+    // permission level maps to a role in MEMBER_ROLES. Users are looked up in VIKUNJA_EMAIL_MAP by username, falling
+    // back to the email Vikunja shows. Teams mapped as "team:<name>" are shared as a Google Group, others member by member.
+    async function projectMemberGrants(project) {
+        const grants = [];
+        const roleFor = permission => memberRoles[Math.min(Math.max(Number(permission) || 0, 0), 2)];
+        const addUser = (user, permission) => {
+            const email = vikunjaEmailMap[user.username.toLowerCase()] || user.email;
+            if (!email) {
+                console.log(`No Google email known for Vikunja user "${user.username}"; add them to VIKUNJA_EMAIL_MAP to share "${project.title}" with them.`);
+                return;
+            }
+            grants.push({ type: 'user', value: email, role: roleFor(permission) });
+        };
+
+        const { users, teams } = await getProjectMembers(project);
+        if (project.owner) {
+            addUser(project.owner, 2);
+        }
+        // Older Vikunja versions call the permission "right".
+        users.forEach(user => addUser(user, user.permission ?? user.right));
+        for (const team of teams) {
+            const permission = team.permission ?? team.right;
+            const groupEmail = vikunjaEmailMap[`team:${team.name}`.toLowerCase()];
+            if (groupEmail) {
+                grants.push({ type: 'group', value: groupEmail, role: roleFor(permission) });
+                continue;
+            }
+            const members = await getVikunjaTeamMembers(team);
+            members.forEach(member => addUser(member, permission));
+        }
+        return grants;
+    }
+
+    async function listCalendarAcl(calendarId) {
+        let rules = [];
+        let pageToken;
+        do {
+            const response = await googleRequest(() => calendar.acl.list({ calendarId, pageToken }));
+            rules = rules.concat(response.data.items || []);
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+        return rules;
+    }
+
+    // Adds missing grants, corrects roles and removes grants this sync made that are no longer configured.
+    // Grants it never made, such as the calendar owner's own or ones added by hand, are left alone.
+    // db.data.sharing remembers, per calendar, the grants made so far.
+    async function reconcileCalendarSharing(gCal, project, projectMap) {
+        const { id: calendarId, summary: calendarSummary } = gCal;
+        // Older versions shared with GOOGLE_CALENDAR_SHARE_WITH_EMAIL without recording it.
+        const granted = new Set((db.data.sharing[calendarId]
+            || (GOOGLE_CALENDAR_SHARE_WITH_EMAIL && !oauthMode ? [`user:${GOOGLE_CALENDAR_SHARE_WITH_EMAIL}`] : []))
+            .map(scopeKey => scopeKey.toLowerCase()));
+        try {
+            const desired = desiredGrants(project, projectMap);
+            // Saved filters have no members of their own.
+            if (SHARE_WITH_PROJECT_MEMBERS === 'true' && project?.id > 0) {
+                (await projectMemberGrants(project)).forEach(grant => addGrant(desired, grant));
+            }
+
+            // A calendar that only exists in the dry-run plan has no rules yet.
+            const rules = gCal.dryRun ? [] : await listCalendarAcl(calendarId);
+            const existing = new Map(rules.map(rule => [aclScopeKey(rule.scope.type, rule.scope.value), rule]));
+
+            for (const [scopeKey, grant] of desired) {
+                const rule = existing.get(scopeKey);
+                if (rule && rule.role === grant.role) {
+                    granted.add(scopeKey);
+                    continue;
+                }
+                const action = rule ? `Change ${grant.value}'s access to "${calendarSummary}" to ${grant.role}` : `Share "${calendarSummary}" with ${grant.value} as ${grant.role}`;
+                console.log(`${action}...`);
+                if (skipForDryRun(rule ? 'updateAcl' : 'addAcl', action, { calendarId, email: grant.value, type: grant.type, role: grant.role })) {
+                    continue;
+                }
+                if (rule) {
+                    await googleRequest(() => calendar.acl.patch({ calendarId, ruleId: rule.id, requestBody: { role: grant.role } }));
+                } else {
+                    await googleRequest(() => calendar.acl.insert({
+                        calendarId,
+                        requestBody: { role: grant.role, scope: { type: grant.type, value: grant.value } }
+                    }));
+                }
+                granted.add(scopeKey);
+            }
+
+            for (const scopeKey of granted) {
+                if (desired.has(scopeKey)) continue;
+                const rule = existing.get(scopeKey);
+                if (rule) {
+                    const action = `Stop sharing "${calendarSummary}" with ${rule.scope.value}`;
+                    console.log(`${action}...`);
+                    if (skipForDryRun('removeAcl', action, { calendarId, email: rule.scope.value, role: rule.role })) {
+                        continue;
+                    }
+                    await googleRequest(() => calendar.acl.delete({ calendarId, ruleId: rule.id }));
+                }
+                granted.delete(scopeKey);
+            }
+        } catch (error) {
+            console.error(`Failed to update sharing of calendar "${calendarSummary}":`, error.message);
+        }
+        if (!gCal.dryRun) {
+            db.data.sharing[calendarId] = [...granted];
+        }
+    }
+
+
+    // Fetches every page of the calendar's events. After the first full fetch, only changes since the stored
+    // syncToken are requested and applied to the cached events; Google answers 410 Gone when a full resync is needed.
+    async function getGoogleEvents(calendarId) {
+        const cached = db.data.eventCache[calendarId];
+        const syncToken = cached?.syncToken;
+        const events = syncToken ? { ...cached.events } : {};
+
+        try {
+            let pageToken;
+            let nextSyncToken;
+            do {
+                const response = await googleRequest(() => calendar.events.list({
+                    calendarId,
+                    pageToken,
+                    maxResults: 2500,
+                    ...(syncToken && { syncToken })
+                }));
+                for (const event of response.data.items || []) {
+                    if (event.status === 'cancelled') {
+                        delete events[event.id];
+                    } else {
+                        events[event.id] = event;
+                    }
+                }
+                pageToken = response.data.nextPageToken;
+                nextSyncToken = response.data.nextSyncToken;
+            } while (pageToken);
+
+            db.data.eventCache[calendarId] = { syncToken: nextSyncToken, events };
+            return Object.values(events);
+        } catch (error) {
+            if (googleErrorStatus(error) === 410 && syncToken) {
+                console.log(`Sync token for calendar ${calendarId} expired; fetching all of its events again.`);
+                delete db.data.eventCache[calendarId];
+                return getGoogleEvents(calendarId);
+            }
+            throw new Error(`Could not fetch events for calendar ${calendarId}: ${error.message}`);
+        }
+    }
+
+    // Vikunja reports unset dates either as null or as the zero time "0001-01-01T00:00:00Z".
+    function vikunjaDate(value) {
+        if (!value || value.startsWith('0001-')) {
+            return null;
+        }
+        return dayjs(value).tz(CALENDAR_TIME_ZONE);
+    }
+
+    function isMidnight(date) {
+        return date.hour() === 0 && date.minute() === 0 && date.second() === 0;
+    }
+
+    // Returns when a task should appear on the calendar, or null if it has no usable dates.
+    // A start_date paired with an end_date (or failing that the due_date) gives a span; otherwise the due date alone.
+    function taskSchedule(task) {
+        const due = vikunjaDate(task.due_date);
+        const start = vikunjaDate(task.start_date);
+        const endField = vikunjaDate(task.end_date) ? 'end_date' : 'due_date';
+        const end = endField === 'end_date' ? vikunjaDate(task.end_date) : due;
+
+        if (start && end && !end.isBefore(start)) {
+            return { start, end, isSpan: true, endField };
+        }
+        if (due) {
+            return { start: due, end: due, isSpan: false, endField: 'due_date' };
+        }
+        return null;
+    }
+
+    // Dates at midnight in the calendar time zone become all-day events; anything with a time of day becomes a timed event.
+    function buildEventTimes(task) {
+        const { start, end, isSpan } = taskSchedule(task);
+
+        if (isMidnight(start) && isMidnight(end)) {
+            // Google treats the end date of all-day events as exclusive.
+            return {
+                start: { date: start.format('YYYY-MM-DD') },
+                end: { date: end.add(1, 'day').format('YYYY-MM-DD') }
+            };
+        }
+
+        const timedEnd = isSpan && end.isAfter(start) ? end : start.add(Number(DEFAULT_EVENT_DURATION_MINUTES), 'minute');
+        return {
+            start: { dateTime: start.format(), timeZone: CALENDAR_TIME_ZONE },
+            end: { dateTime: timedEnd.format(), timeZone: CALENDAR_TIME_ZONE }
+        };
+    }
+
+    // Inverse of buildEventTimes(): the event's start and (inclusive) end as dayjs objects.
+    function parseEventTimes(gEvent) {
+        if (gEvent.start?.dateTime) {
+            return { start: dayjs(gEvent.start.dateTime), end: dayjs(gEvent.end?.dateTime || gEvent.start.dateTime) };
+        }
+        if (gEvent.start?.date) {
+            const start = dayjs.tz(gEvent.start.date, CALENDAR_TIME_ZONE);
+            const end = gEvent.end?.date ? dayjs.tz(gEvent.end.date, CALENDAR_TIME_ZONE).subtract(1, 'day') : start;
+            return { start, end };
+        }
+        return null;
+    }
+
+    // Vikunja repeat modes: 0 repeats repeat_after seconds after the due date, 1 repeats monthly,
+    // 2 repeats repeat_after seconds after completion. Mode 2 can't be predicted, so it is shown like mode 0;
+    // once the task is done Vikunja moves its dates forward and the series is updated to match.
+    function buildRecurrenceRule(task, allDay) {
+        if (task.repeat_mode === 1) {
+            return 'RRULE:FREQ=MONTHLY';
+        }
+        const seconds = Number(task.repeat_after) || 0;
+        if (seconds <= 0) {
+            return null;
+        }
+
+        const units = [
+            { freq: 'WEEKLY', seconds: 7 * 24 * 3600 },
+            { freq: 'DAILY', seconds: 24 * 3600 },
+            ...(allDay ? [] : [{ freq: 'HOURLY', seconds: 3600 }])
+        ];
+        const unit = units.find(u => seconds % u.seconds === 0);
+        if (!unit) {
+            console.log(`Task ${task.id} repeats every ${seconds} seconds, which can't be shown as a recurring event; syncing the next occurrence only.`);
+            return null;
+        }
+        const interval = seconds / unit.seconds;
+        return `RRULE:FREQ=${unit.freq}${interval > 1 ? `;INTERVAL=${interval}` : ''}`;
+    }
+
+    // Turns the task's reminders into minutes before the event start. Vikunja reminders are either absolute
+    // ({ reminder }) or relative ({ relative_to: 'due_date' | 'start_date' | 'end_date', relative_period: seconds }).
+    function taskReminderMinutes(task) {
+        const eventStart = taskSchedule(task).start;
+        // Older Vikunja versions only return absolute reminder_dates.
+        const reminders = task.reminders || (task.reminder_dates || []).map(date => ({ reminder: date }));
+
+        const minutes = reminders.map(reminder => {
+            const anchor = reminder.relative_to ? vikunjaDate(task[reminder.relative_to]) : null;
+            const remindAt = anchor ? anchor.add(reminder.relative_period || 0, 'second') : vikunjaDate(reminder.reminder);
+            return remindAt ? eventStart.diff(remindAt, 'minute') : null;
+        }).filter(m => m !== null && m >= 0 && m <= MAX_REMINDER_MINUTES);
+
+        return [...new Set(minutes)].sort((a, b) => a - b).slice(0, MAX_REMINDERS);
+    }
+
+    function buildEventReminders(task) {
+        if (task.done) {
+            return { useDefault: false };
+        }
+        const taskMinutes = taskReminderMinutes(task);
+        const minutes = taskMinutes.length > 0 ? taskMinutes : defaultReminderMinutes;
+        if (minutes.length === 0) {
+            return { useDefault: true };
+        }
+        return {
+            useDefault: false,
+            overrides: minutes.map(m => ({ method: REMINDER_METHOD, minutes: m }))
+        };
+    }
+
+    const COMPLETED_PREFIX = '✓ ';
+
+    // --- Event Content ---
+    // EVENT_SUMMARY_TEMPLATE and EVENT_DESCRIPTION_TEMPLATE may use {title}, {description}, {priority} (the
+    // PRIORITY_PREFIXES entry plus a space), {priority_name}, {labels}, {assignees}, {progress}, {attachments},
+    // {project} and {link}. A line whose placeholders all came out empty is left out, label and all.
+    const PRIORITY_NAMES = ['', 'Low', 'Medium', 'High', 'Urgent', 'DO NOW'];
+    const priorityPrefixes = PRIORITY_PREFIXES.split(',').map(prefix => prefix.trim());
+    // Google's fixed palette of event colors, by colorId.
+    const GOOGLE_EVENT_COLORS = {
+        1: '#a4bdfc', 2: '#7ae7bf', 3: '#dbadff', 4: '#ff887c', 5: '#fbd75b', 6: '#ffb878',
+        7: '#46d6db', 8: '#e1e1e1', 9: '#5484ed', 10: '#51b749', 11: '#dc2127'
+    };
+
+    function decodeHtmlEntities(text) {
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return String.fromCodePoint(point);
+            }
+            return named[code.toLowerCase()] ?? entity;
+        });
+    }
+
+    // Vikunja stores descriptions as editor HTML; Google shows plain text best.
+    function htmlToText(html) {
+        if (!html || !/<[a-z/][^>]*>/i.test(html)) {
+            return decodeHtmlEntities(html || '').trim();
+        }
+        const text = html
+            .replace(/\r?\n/g, ' ')
+            // The editor wraps list items in paragraphs; keep each item on a single line.
+            .replace(/<li([^>]*)>\s*<p>(.*?)<\/p>\s*<\/li>/gi, '<li$1>$2</li>')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<li[^>]*data-checked="true"[^>]*>/gi, '\n☑ ')
+            .replace(/<li[^>]*data-checked="false"[^>]*>/gi, '\n☐ ')
+            .replace(/<li[^>]*>/gi, '\n• ')
+            .replace(/<a\s[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, (match, href, label) => {
+                const labelText = label.replace(/<[^>]+>/g, '');
+                return labelText && labelText !== href ? `${labelText} (${href})` : href;
+            })
+            .replace(/<\/(p|div|h[1-6]|blockquote|pre|ul|ol|table|tr)>/gi, '\n\n')
+            .replace(/<[^>]+>/g, '');
+        return decodeHtmlEntities(text)
+            .split('\n').map(line => line.replace(/[ \t]+/g, ' ').trim()).join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    // The reverse, for descriptions pulled back from Google under two-way sync.
+    function textToHtml(text) {
+        const escape = line => line.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return text.split(/\n{2,}/).map(paragraph => `<p>${paragraph.split('\n').map(escape).join('<br>')}</p>`).join('');
+    }
+
+    function eventTemplateValues(task) {
+        const project = lastKnownCalendars?.projectMap.get(task.project_id);
+        const priorityPrefix = priorityPrefixes[(task.priority || 0) - 1] || '';
+        const percentDone = Math.round((task.percent_done || 0) * 100);
+        return {
+            title: task.title,
+            description: htmlToText(task.description),
+            priority: priorityPrefix ? `${priorityPrefix} ` : '',
+            priority_name: PRIORITY_NAMES[task.priority] || '',
+            labels: (task.labels || []).map(label => label.title).join(', '),
+            assignees: (task.assignees || []).map(user => user.name || user.username).join(', '),
+            progress: percentDone > 0 ? `${percentDone}%` : '',
+            // Only the names: downloading needs a Vikunja login, so they are opened from the task at {link}.
+            attachments: (task.attachments || []).map(attachment => attachment.file?.name || 'Attachment').join(', '),
+            project: project ? project.title : '',
+            link: `${VIKUNJA_FRONTEND_URL}/projects/${task.project_id}/tasks/${task.id}`
+        };
+    }
+
+    function renderTemplate(template, values) {
+        const lines = template.replace(/\\n/g, '\n').split('\n').filter(line => {
+            const placeholders = line.match(/\{(\w+)\}/g) || [];
+            return placeholders.length === 0 || placeholders.some(placeholder => values[placeholder.slice(1, -1)]);
+        });
+        return lines.join('\n')
+            .replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder))
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    // Recovers one placeholder's value from text rendered with a template, or null when the text around it was edited
+    // or the template doesn't use it exactly once.
+    function extractFromTemplate(template, name, values, text) {
+        const parts = template.replace(/\\n/g, '\n').split(`{${name}}`);
+        if (parts.length !== 2) {
+            return null;
+        }
+        const before = renderTemplate(parts[0], values);
+        const after = renderTemplate(parts[1], values);
+        const trimmed = (text || '').trim();
+        if (!trimmed.startsWith(before) || !trimmed.endsWith(after) || trimmed.length < before.length + after.length) {
+            return null;
+        }
+        return trimmed.slice(before.length, trimmed.length - after.length).trim();
+    }
+
+    function nearestGoogleColorId(hexColor) {
+        const match = /^#?([0-9a-f]{6})$/i.exec(hexColor || '');
+        if (!match) {
+            return null;
+        }
+        const rgb = hex => [0, 2, 4].map(i => parseInt(hex.replace('#', '').slice(i, i + 2), 16));
+        const [r, g, b] = rgb(match[1]);
+        let best = null;
+        for (const [colorId, googleHex] of Object.entries(GOOGLE_EVENT_COLORS)) {
+            const [gr, gg, gb] = rgb(googleHex);
+            const distance = (r - gr) ** 2 + (g - gg) ** 2 + (b - gb) ** 2;
+            if (!best || distance < best.distance) {
+                best = { colorId, distance };
+            }
+        }
+        return best.colorId;
+    }
+
+    function eventColorId(task) {
+        if (EVENT_COLOR_SOURCE === 'none') {
+            return null;
+        }
+        const labelColor = EVENT_COLOR_SOURCE === 'label'
+            ? (task.labels || []).map(label => label.hex_color).find(color => nearestGoogleColorId(color))
+            : null;
+        const project = lastKnownCalendars?.projectMap.get(task.project_id);
+        return nearestGoogleColorId(labelColor || project?.hex_color);
+    }
+
+    // Whether a task belongs on the calendar: open tasks always, done ones only while COMPLETED_RETENTION_DAYS lasts.
+    function isTaskVisible(task) {
+        if (!task.done) {
+            return true;
+        }
+        if (COMPLETED_TASK_POLICY === 'delete') {
+            return false;
+        }
+        const doneAt = vikunjaDate(task.done_at) || vikunjaDate(task.updated_at);
+        return !doneAt || doneAt.isAfter(dayjs().subtract(Number(COMPLETED_RETENTION_DAYS), 'day'));
+    }
+
+    // Assignees without an email in VIKUNJA_EMAIL_MAP or Vikunja are left out.
+    function taskAttendees(task) {
+        const emails = (task.assignees || [])
+            .map(user => vikunjaEmailMap[user.username.toLowerCase()] || user.email)
+            .filter(Boolean);
+        return [...new Set(emails)].sort().map(email => ({ email }));
+    }
+
+    // An update replaces the attendee list, so carry over the answers of attendees who stay invited.
+    function withAttendeeResponses(eventPayload, gEvent) {
+        if (!eventPayload.attendees) {
+            return eventPayload;
+        }
+        const previous = new Map((gEvent.attendees || []).map(attendee => [attendee.email.toLowerCase(), attendee]));
+        return {
+            ...eventPayload,
+            attendees: eventPayload.attendees.map(attendee => {
+                const responseStatus = previous.get(attendee.email.toLowerCase())?.responseStatus;
+                return responseStatus ? { ...attendee, responseStatus } : attendee;
+            })
+        };
+    }
+
+    function buildGoogleEvent(task) {
+        const templateValues = eventTemplateValues(task);
+        const summary = renderTemplate(EVENT_SUMMARY_TEMPLATE, templateValues);
+        const eventTimes = buildEventTimes(task);
+        const recurrenceRule = buildRecurrenceRule(task, Boolean(eventTimes.start.date));
+        const colorId = eventColorId(task);
+        return {
+            summary: task.done ? `${COMPLETED_PREFIX}${summary}` : summary,
+            description: renderTemplate(EVENT_DESCRIPTION_TEMPLATE, templateValues),
+            ...(colorId && { colorId }),
+            ...(ASSIGNEES_AS_ATTENDEES === 'true' && { attendees: taskAttendees(task) }),
+            ...eventTimes,
+            ...(recurrenceRule && { recurrence: [recurrenceRule] }),
+            reminders: buildEventReminders(task),
+            transparency: task.done ? 'transparent' : 'opaque',
+            extendedProperties: {
+                private: {
+                    vikunjaTaskId: String(task.id),
+                    ...(task.savedFilterId && { vikunjaSavedFilterId: String(task.savedFilterId) })
+                }
+            }
+        };
+    }
+
+
+    // Reads back the fields buildGoogleEvent() writes, returning only those that differ from the task.
+    function taskChangesFromGoogleEvent(task, gEvent) {
+        const changes = {};
+
+        // Only the title and description are read back; the rest of the template is left for Vikunja to fill in.
+        const templateValues = eventTemplateValues(task);
+        const summary = task.done ? (gEvent.summary || '').replace(COMPLETED_PREFIX, '') : gEvent.summary;
+        const title = extractFromTemplate(EVENT_SUMMARY_TEMPLATE, 'title', templateValues, summary);
+        if (title && title !== task.title) {
+            changes.title = title;
+        }
+
+        const description = extractFromTemplate(EVENT_DESCRIPTION_TEMPLATE, 'description', templateValues, gEvent.description);
+        if (description !== null && description !== templateValues.description) {
+            changes.description = textToHtml(description);
+        }
+
+        const schedule = taskSchedule(task);
+        const eventTimes = parseEventTimes(gEvent);
+        if (schedule && eventTimes) {
+            const setIfMoved = (field, current, moved) => {
+                if (!moved.isSame(current)) {
+                    changes[field] = moved.toISOString();
+                }
+            };
+            if (schedule.isSpan) {
+                setIfMoved('start_date', schedule.start, eventTimes.start);
+                setIfMoved(schedule.endField, schedule.end, eventTimes.end.isBefore(eventTimes.start) ? eventTimes.start : eventTimes.end);
+            } else {
+                // Only the start matters here; a due-only event's length comes from DEFAULT_EVENT_DURATION_MINUTES.
+                setIfMoved('due_date', schedule.start, eventTimes.start);
+            }
+        }
+
+        return changes;
+    }
+
+    // Decides which side to keep when a task and its event were both edited since the last sync.
+    function conflictWinner(task, gEvent) {
+        if (CONFLICT_POLICY === 'newest') {
+            return dayjs.utc(gEvent.updated).isAfter(dayjs.utc(task.updated_at)) ? 'google' : 'vikunja';
+        }
+        return CONFLICT_POLICY;
+    }
+
+    // How many of the synced events (or calendars) one cycle may delete before the mass-deletion guard steps in.
+    // For events a percentage always allows a few, or finishing the last tasks of a small calendar would need --force.
+    const MIN_PERCENT_DELETIONS = 5;
+    function deletionLimit(syncedCount, minimum = MIN_PERCENT_DELETIONS) {
+        const [, amount, percent] = maxDeletionsMatch;
+        return percent
+            ? Math.max(minimum, Math.floor(syncedCount * Number(amount) / 100))
+            : Number(amount);
+    }
+
+    // --- Mapping Store Functions ---
+    function hashEventPayload(payload) {
+        return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+    }
+
+    function getMapping(taskId) {
+        return db.data.mappings[taskId];
+    }
+
+    function saveMapping(taskId, calendarId, gEvent, hash) {
+        db.data.mappings[taskId] = {
+            calendarId,
+            eventId: gEvent.id,
+            etag: gEvent.etag,
+            hash,
+            syncedAt: new Date().toISOString()
+        };
+    }
+
+    function removeMapping(taskId) {
+        delete db.data.mappings[taskId];
+    }
+
+
+    // --- Calendar Routing ---
+    // A route names the calendar a task goes to: its key (stored in db.data.calendars and the calendar's description)
+    // and its summary. CALENDAR_ROUTING decides the route of project tasks; saved filters always get their own calendar.
+    // 'label' and 'assignee' use the first label or assignee, so a task is only ever on one calendar.
+    function projectRoute(project, projectMap) {
+        return { key: String(project.id), name: projectCalendarName(project, projectMap) };
+    }
+
+    // The 'archive' policy's "Done" calendar next to a route's calendar.
+    function archiveRoute(route) {
+        return { key: `${route.key}:done`, name: `${route.name} (Done)` };
+    }
+
+    function singleRoute() {
+        return { key: 'single', name: CALENDAR_PREFIX, externalId: TARGET_CALENDAR_ID };
+    }
+
+    function baseRouteForTask(task, { projectMap, syncedProjectIds }) {
+        if (task.savedFilterId) {
+            return projectRoute(projectMap.get(task.savedFilterId), projectMap);
+        }
+        switch (CALENDAR_ROUTING) {
+            case 'single':
+                return singleRoute();
+            case 'label': {
+                const label = (task.labels || [])[0];
+                return label
+                    ? { key: `label:${label.id}`, name: `${CALENDAR_PREFIX} ${label.title}` }
+                    : { key: 'label:none', name: `${CALENDAR_PREFIX} Unlabeled` };
+            }
+            case 'assignee': {
+                const assignee = (task.assignees || [])[0];
+                return assignee
+                    ? { key: `assignee:${assignee.username}`, name: `${CALENDAR_PREFIX} ${assignee.name || assignee.username}` }
+                    : { key: 'assignee:none', name: `${CALENDAR_PREFIX} Unassigned` };
+            }
+            case 'priority': {
+                const index = priorityBands.findIndex(([, , from, to]) => (task.priority || 0) >= Number(from) && (task.priority || 0) <= Number(to));
+                return index === -1
+                    ? { key: 'priority:none', name: `${CALENDAR_PREFIX} Other` }
+                    : { key: `priority:${index}`, name: `${CALENDAR_PREFIX} ${priorityBands[index][1]}` };
+            }
+            default: {
+                const taskProject = projectMap.get(task.project_id) || task.project;
+                return taskProject ? projectRoute(calendarProjectFor(taskProject, projectMap, syncedProjectIds), projectMap) : null;
+            }
+        }
+    }
+
+    // Saved filter entries stay in the filter's calendar when done, and an existing TARGET_CALENDAR_ID has no "Done" twin.
+    function routeForTask(task, calendarState) {
+        const route = baseRouteForTask(task, calendarState);
+        if (route && task.done && COMPLETED_TASK_POLICY === 'archive' && !task.savedFilterId && !route.externalId) {
+            return archiveRoute(route);
+        }
+        return route;
+    }
+
+    // --- Event Reconciliation ---
+    // Finds the calendar a task's event belongs in, or logs why there is none.
+    function findTargetCalendar(task, calendarState) {
+        const route = routeForTask(task, calendarState);
+
+        if (!route) {
+            console.log(`Skipping task "${task.title}" (ID: ${task.id}) because its project could not be determined.`);
+            return null;
+        }
+
+        const targetGCal = calendarState.calendarsByKey.get(route.key);
+        if (!targetGCal) {
+            console.log(`Skipping task ${task.id} because its calendar "${route.name}" was not found or created.`);
+            return null;
+        }
+        return targetGCal;
+    }
+
+    // Creates, updates, moves or pulls back the event of one task. Used by Step 3 for every task and by the
+    // webhook receiver for a single one. With pendingInserts, new events are queued for the caller to batch.
+    async function reconcileTaskEvent(task, existingGEvent, targetGCal, pendingInserts = null) {
+        const taskIdStr = syncKey(task);
+
+        const eventPayload = buildGoogleEvent(task);
+        const payloadHash = hashEventPayload(eventPayload);
+        const mapping = getMapping(taskIdStr);
 
         if (existingGEvent) {
             const needsMove = existingGEvent.calendarId !== targetGCal.id;
-            const taskUpdated = dayjs.utc(task.updated_at);
-            const eventUpdated = dayjs.utc(existingGEvent.updated);
-
-            if (needsMove || taskUpdated.isAfter(eventUpdated) || existingGEvent.transparency !== 'opaque') {
-                if (needsMove) {
-                    console.log(`Moving task "${task.title}" from an old calendar.`);
-                    try {
-                        await calendar.events.delete({ calendarId: existingGEvent.calendarId, eventId: existingGEvent.id });
-                        await delay(200);
-                    } catch (error) {
-                         if (error.code !== 410) console.error(`Failed to delete old event during move for task ${task.id}:`, error.message);
+            const vikunjaChanged = !mapping || mapping.hash !== payloadHash;
+            const googleChanged = Boolean(mapping) && mapping.etag !== existingGEvent.etag
+                && dayjs.utc(existingGEvent.updated).isAfter(dayjs.utc(mapping.syncedAt));
+            // Saved filter calendars only mirror tasks; edits are pulled back from the project calendar's event alone.
+            const pullFromGoogle = SYNC_DIRECTION === 'two-way' && !task.savedFilterId && googleChanged
+                && (!vikunjaChanged || conflictWinner(task, existingGEvent) === 'google');
+
+            if (needsMove) {
+                console.log(`Moving task "${task.title}" from an old calendar.`);
+                if (skipForDryRun('moveEvent', `Move event for task "${task.title}" (ID: ${task.id}) to "${targetGCal.summary}"`,
+                    { taskId: task.id, fromCalendarId: existingGEvent.calendarId, toCalendarId: targetGCal.id, eventId: existingGEvent.id })) {
+                    return;
+                }
+                try {
+                    await googleRequest(() => calendar.events.delete({
+                        calendarId: existingGEvent.calendarId,
+                        eventId: existingGEvent.id,
+                        sendUpdates: SEND_UPDATES
+                    }));
+                } catch (error) {
+                     if (googleErrorStatus(error) !== 410) console.error(`Failed to delete old event during move for task ${task.id}:`, error.message);
+                }
+                removeMapping(taskIdStr);
+                existingGEvent = null; 
+            } else if (pullFromGoogle) {
+                const changes = taskChangesFromGoogleEvent(task, existingGEvent);
+                if (Object.keys(changes).length > 0) {
+                    console.log(`Updating Vikunja task "${task.title}" (ID: ${task.id}) from Google Calendar: ${Object.keys(changes).join(', ')}`);
+                    const updatedTask = await updateVikunjaTask({ ...task, ...changes });
+                    if (updatedTask) {
+                        saveMapping(taskIdStr, existingGEvent.calendarId, existingGEvent, hashEventPayload(buildGoogleEvent(updatedTask)));
                     }
-                    existingGEvent = null; 
                 } else {
-                    console.log(`Updating event for task: "${task.title}" (ID: ${task.id})`);
-                    try {
-                        await calendar.events.update({
-                            calendarId: existingGEvent.calendarId,
-                            eventId: existingGEvent.id,
-                            requestBody: eventPayload
-                        });
-                        await delay(200);
-                    } catch (error) {
-                        console.error(`Failed to update event for task ${task.id}:`, error.message);
-                    }
+                    saveMapping(taskIdStr, existingGEvent.calendarId, existingGEvent, payloadHash);
+                }
+            } else if (vikunjaChanged || mapping.etag !== existingGEvent.etag) {
+                console.log(`Updating event for task: "${task.title}" (ID: ${task.id})`);
+                if (skipForDryRun('updateEvent', `Update event for task "${task.title}" (ID: ${task.id}) in "${targetGCal.summary}"`,
+                    { taskId: task.id, calendarId: existingGEvent.calendarId, eventId: existingGEvent.id, event: eventPayload })) {
+                    return;
+                }
+                try {
+                    const response = await googleRequest(() => calendar.events.update({
+                        calendarId: existingGEvent.calendarId,
+                        eventId: existingGEvent.id,
+                        sendUpdates: SEND_UPDATES,
+                        requestBody: withAttendeeResponses(eventPayload, existingGEvent)
+                    }));
+                    saveMapping(taskIdStr, existingGEvent.calendarId, response.data, payloadHash);
+                } catch (error) {
+                    console.error(`Failed to update event for task ${task.id}:`, error.message);
                 }
             }
         }
-        
+    
         if (!existingGEvent) {
             console.log(`Creating new event for task: "${task.title}" (ID: ${task.id})`);
+            if (skipForDryRun('createEvent', `Create event for task "${task.title}" (ID: ${task.id}) in "${targetGCal.summary}"`,
+                { taskId: task.id, calendarId: targetGCal.id, event: eventPayload })) {
+                return;
+            }
+            if (pendingInserts) {
+                pendingInserts.push({ task, calendarId: targetGCal.id, eventPayload, payloadHash });
+                return;
+            }
             try {
-                await calendar.events.insert({
+                const response = await googleRequest(() => calendar.events.insert({
                     calendarId: targetGCal.id,
+                    sendUpdates: SEND_UPDATES,
                     requestBody: eventPayload
-                });
-                await delay(200);
+                }));
+                saveMapping(taskIdStr, targetGCal.id, response.data, payloadHash);
             } catch (error) {
                 console.error(`Failed to create event for task ${task.id}:`, error.message);
             }
         }
     }
 
-    // --- Step 4: Clean up deleted OR COMPLETED tasks ---
-    for (const [vikunjaId, gEvent] of allGoogleEvents.entries()) {
-        if (!vikunjaTaskMap.has(vikunjaId)) {
-            console.log(`Deleting event for stale or completed task ID: ${vikunjaId}`);
+
+    // 3. --- CORE SYNC LOGIC ---
+    // -----------------------------------------------------------
+    // Set when the daemon is asked to shut down; checked between steps of a cycle.
+    let stopRequested = false;
+    // Projects and managed calendars as of the last cycle's Step 2, so webhooks can sync a task without refetching them.
+    let lastKnownCalendars = null;
+
+    async function syncCycle() {
+        console.log("--- Starting Sync Cycle ---");
+        const cycleStartedAt = new Date().toISOString();
+    
+        const vikunjaProjects = await getVikunjaProjects();
+        const { syncedProjects, savedFilters } = selectProjects(vikunjaProjects);
+        const syncedProjectIds = new Set(syncedProjects.map(p => p.id));
+        const vikunjaTasks = (await loadVikunjaTasks()).filter(task => syncedProjectIds.has(task.project_id));
+        const savedFilterEntries = [];
+        for (const savedFilter of savedFilters) {
+            const filterTasks = await getSavedFilterTasks(savedFilter);
+            filterTasks
+                .filter(task => taskSchedule(task) && isTaskVisible(task))
+                .forEach(task => savedFilterEntries.push({ ...task, savedFilterId: savedFilter.id }));
+        }
+
+    	for (const task of vikunjaTasks) {
+    	   console.log(`${task.title}`);
+    	}
+
+
+        let googleCalendars = await getManagedCalendars();
+    
+        const visibleVikunjaTasks = [...vikunjaTasks.filter(isTaskVisible), ...savedFilterEntries];
+        const completedCount = visibleVikunjaTasks.filter(task => task.done).length;
+
+        console.log(`Syncing ${syncedProjects.length} of ${vikunjaProjects.length} projects and ${savedFilters.length} saved filter(s).`);
+        console.log(`Found ${vikunjaTasks.length} total tasks with dates in the synced projects.`);
+        console.log(`Syncing ${visibleVikunjaTasks.length - completedCount} uncompleted and ${completedCount} recently completed tasks.`);
+        console.log(`Found ${googleCalendars.length} managed calendars in Google.`);
+
+        const projectMap = new Map(vikunjaProjects.map(p => [p.id, p]));
+
+        // --- Step 2: Reconcile Calendars ---
+        // Every synced project (or the single calendar) and saved filter gets a calendar, tasks add the label, assignee
+        // or priority calendars they are routed to, and "Done" calendars appear as completed tasks need them.
+        const routingState = { projectMap, syncedProjectIds };
+        const expectedRoutes = new Map();
+        const addRoute = route => expectedRoutes.set(route.key, route);
+        if (CALENDAR_ROUTING === 'project') {
+            syncedProjects
+                .filter(project => calendarProjectFor(project, projectMap, syncedProjectIds) === project)
+                .forEach(project => addRoute(projectRoute(project, projectMap)));
+        } else if (CALENDAR_ROUTING === 'single') {
+            addRoute(singleRoute());
+        }
+        savedFilters.forEach(savedFilter => addRoute(projectRoute(savedFilter, projectMap)));
+        visibleVikunjaTasks.forEach(task => {
+            const route = routeForTask(task, routingState);
+            if (route) addRoute(route);
+        });
+
+        const calendarsByKey = new Map();
+        for (const route of expectedRoutes.values()) {
+            if (route.externalId) {
+                let gCal = googleCalendars.find(cal => cal.id === route.externalId);
+                if (!gCal) {
+                    gCal = await getExternalCalendar(route.externalId);
+                    googleCalendars.push(gCal);
+                }
+                gCal.external = true;
+                calendarsByKey.set(route.key, gCal);
+                continue;
+            }
+
+            const { key, name } = route;
+            let gCal = findManagedCalendar(key, name, googleCalendars);
+
+            if (!gCal) {
+                gCal = await createGoogleCalendar(name, key);
+                if (gCal) {
+                    googleCalendars.push(gCal);
+                }
+            } else {
+                await updateCalendarIdentity(gCal, name, key);
+                if (gCal.timeZone && gCal.timeZone !== CALENDAR_TIME_ZONE) {
+                    await updateCalendarTimeZone(gCal);
+                }
+            }
+
+            if (gCal) {
+                calendarsByKey.set(key, gCal);
+                if (!gCal.dryRun) {
+                    db.data.calendars[key] = gCal.id;
+                }
+            }
+        }
+    
+        // --- Orphaned Calendars ---
+        // A calendar is orphaned once its project is gone, no longer synced, rolled up into its parent's calendar or
+        // routed differently. Idle calendars that may come back into use are not: a "Done" calendar next to an expected
+        // one, or a label, assignee or priority calendar under the current routing.
+        const liveKeys = new Set(expectedRoutes.keys());
+        const isLiveKey = key => {
+            const baseKey = key.replace(/:done$/, '');
+            return liveKeys.has(baseKey) || (CALENDAR_ROUTING !== 'project' && baseKey.startsWith(`${CALENDAR_ROUTING}:`));
+        };
+        const expectedCalendars = new Set(calendarsByKey.values());
+        const orphanedCalendars = googleCalendars.filter(cal => !expectedCalendars.has(cal) && !cal.external
+            && !isLiveKey(keyOfCalendar(cal) || '') && !(cal.summary || '').startsWith('[archived] '));
+        const managedCalendarCount = googleCalendars.filter(cal => !cal.external).length;
+        googleCalendars = googleCalendars.filter(cal => !orphanedCalendars.includes(cal));
+        // The same mass-deletion guard as for events, so a short or odd project list can't retire every calendar at once:
+        // without the events' minimum, and never all of them without --force.
+        const maxRetirements = Math.min(deletionLimit(managedCalendarCount, 0), managedCalendarCount - 1);
+        if (ORPHANED_CALENDAR_POLICY !== 'keep' && orphanedCalendars.length > maxRetirements && !forceDeletions) {
+            console.error(`Refusing to retire ${orphanedCalendars.length} of ${managedCalendarCount} calendars, more than MAX_DELETIONS (${MAX_DELETIONS}) allows. Check that Vikunja returned all projects, then re-run with --force to retire them.`);
+            process.exitCode = 1;
+        } else {
+            for (const gCal of orphanedCalendars) {
+                await retireOrphanedCalendar(gCal);
+            }
+        }
+
+        // --- Verifying Calendar Permissions ---
+        // Calendars created with your own account need no sharing unless some is configured or left to revoke.
+        const sharingNeeded = sharingRules.length > 0 || SHARE_WITH_PROJECT_MEMBERS === 'true'
+            || Object.values(db.data.sharing).some(grants => grants.length > 0);
+        const keysByCalendar = new Map([...calendarsByKey].map(([key, gCal]) => [gCal, key]));
+        const calendarsToShare = sharingNeeded || !oauthMode ? googleCalendars.filter(cal => !cal.external) : [];
+        await runWithConcurrency(calendarsToShare, Number(GOOGLE_CONCURRENCY), gCal => {
+            const key = keysByCalendar.get(gCal) || keyOfCalendar(gCal) || '';
+            return reconcileCalendarSharing(gCal, projectMap.get(parseInt(key)), projectMap);
+        });
+        const calendarState = { ...routingState, calendarsByKey };
+        lastKnownCalendars = calendarState;
+    
+        // --- Step 3: Reconcile Events ---
+        const allGoogleEvents = new Map();
+        const googleEventsById = new Map();
+        for (const calendarId of Object.keys(db.data.eventCache)) {
+            if (!googleCalendars.some(cal => cal.id === calendarId)) {
+                delete db.data.eventCache[calendarId];
+            }
+        }
+        await runWithConcurrency(googleCalendars.filter(cal => !cal.dryRun), Number(GOOGLE_CONCURRENCY), async cal => {
+            const events = await getGoogleEvents(cal.id);
+            events.forEach(event => {
+                // Edited instances of a recurring series carry the series' properties; only the series itself is tracked.
+                if (event.recurringEventId) return;
+                const calEvent = { ...event, calendarId: cal.id };
+                googleEventsById.set(event.id, calEvent);
+                const vikunjaId = eventSyncKey(event);
+                if (vikunjaId) {
+                    allGoogleEvents.set(vikunjaId, calEvent);
+                }
+            });
+        });
+
+        // The stored mapping takes precedence, so events whose extended properties were stripped are still found.
+        for (const [vikunjaId, mapping] of Object.entries(db.data.mappings)) {
+            const mappedEvent = googleEventsById.get(mapping.eventId);
+            if (mappedEvent && mappedEvent.calendarId === mapping.calendarId) {
+                allGoogleEvents.set(vikunjaId, mappedEvent);
+            } else if (googleCalendars.some(cal => cal.id === mapping.calendarId)) {
+                console.log(`Event for task ID ${vikunjaId} was deleted in Google Calendar.`);
+                removeMapping(vikunjaId);
+            }
+        }
+
+        const vikunjaTaskMap = new Map(visibleVikunjaTasks.map(task => [syncKey(task), task]));
+
+        // New events are queued and sent through the batch endpoint once every task has been looked at.
+        const pendingInserts = [];
+
+        await runWithConcurrency(visibleVikunjaTasks, Number(GOOGLE_CONCURRENCY), async task => {
+            if (stopRequested) return;
+            const targetGCal = findTargetCalendar(task, calendarState);
+            if (targetGCal) {
+                await reconcileTaskEvent(task, allGoogleEvents.get(syncKey(task)), targetGCal, pendingInserts);
+            }
+        });
+
+        const insertResults = await batchGoogleRequests(pendingInserts.map(insert => ({
+            method: 'POST',
+            path: eventsPath(insert.calendarId),
+            body: insert.eventPayload
+        })));
+        insertResults.forEach((result, index) => {
+            const { task, calendarId, payloadHash } = pendingInserts[index];
+            if (result.status >= 200 && result.status < 300) {
+                saveMapping(syncKey(task), calendarId, result.body, payloadHash);
+            } else {
+                console.error(`Failed to create event for task ${task.id}:`, result.body?.error?.message || `HTTP ${result.status}`);
+            }
+        });
+        if (!dryRun) {
+            await db.write();
+        }
+
+        // Shut down between steps rather than part-way through the deletions below.
+        if (stopRequested) {
+            console.log("--- Sync Cycle Stopped Early for Shutdown ---");
+            return;
+        }
+
+        // --- Step 4: Clean up deleted tasks and completed ones past their retention ---
+        const staleEvents = [...allGoogleEvents.entries()].filter(([vikunjaId]) => !vikunjaTaskMap.has(vikunjaId));
+        const maxDeletions = deletionLimit(allGoogleEvents.size);
+
+        if (staleEvents.length > maxDeletions && !forceDeletions) {
+            console.error(`Refusing to delete ${staleEvents.length} of ${allGoogleEvents.size} events, more than MAX_DELETIONS (${MAX_DELETIONS}) allows. Check that Vikunja returned all tasks, then re-run with --force to delete them.`);
+            process.exitCode = 1;
+        } else {
+            const deletions = staleEvents.filter(([vikunjaId, gEvent]) => {
+                console.log(`Deleting event for stale or completed task ID: ${vikunjaId}`);
+                return !skipForDryRun('deleteEvent', `Delete event "${gEvent.summary}" for stale or completed task ID ${vikunjaId}`,
+                    { taskId: parseInt(vikunjaId), calendarId: gEvent.calendarId, eventId: gEvent.id });
+            });
+
+            const deleteResults = await batchGoogleRequests(deletions.map(([, gEvent]) => ({
+                method: 'DELETE',
+                path: eventsPath(gEvent.calendarId, gEvent.id)
+            })));
+            deleteResults.forEach((result, index) => {
+                const [vikunjaId, gEvent] = deletions[index];
+                // 404 and 410 mean the event is already gone, which is what we wanted.
+                if ((result.status >= 200 && result.status < 300) || result.status === 404 || result.status === 410) {
+                    removeMapping(vikunjaId);
+                } else {
+                    console.error(`Failed to delete event ${gEvent.id}:`, result.body?.error?.message || `HTTP ${result.status}`);
+                }
+            });
+        }
+        db.data.vikunjaSync.lastSyncAt = cycleStartedAt;
+        if (!dryRun) {
+            await db.write();
+        }
+
+        console.log("--- Sync Cycle Finished ---");
+    }
+
+
+    // 4. --- HTTP SERVER: ICAL FEEDS AND VIKUNJA WEBHOOKS ---
+    // -----------------------------------------------------------
+    let feedCache = null;
+
+    async function getFeedData() {
+        const maxAgeMs = Number(FEED_CACHE_SECONDS) * 1000;
+        if (!feedCache || Date.now() - feedCache.fetchedAt > maxAgeMs) {
+            const [allProjects, tasks] = await Promise.all([getVikunjaProjects(), getVikunjaTasks()]);
+            const projects = selectProjects(allProjects).syncedProjects;
+            const projectIds = new Set(projects.map(p => p.id));
+            feedCache = {
+                projects,
+                projectMap: new Map(allProjects.map(p => [p.id, p])),
+                syncedProjectIds: projectIds,
+                tasks: tasks.filter(task => projectIds.has(task.project_id) && isTaskVisible(task)),
+                fetchedAt: Date.now()
+            };
+        }
+        return feedCache;
+    }
+
+    // Timed events carry CALENDAR_TIME_ZONE along with its VTIMEZONE definition, which clients such as Outlook need to
+    // resolve the zone; a zone without a known definition is written in UTC instead.
+    const feedTimeZone = (getVtimezoneComponent(CALENDAR_TIME_ZONE) || '').includes(`TZID:${CALENDAR_TIME_ZONE}\n`)
+        ? CALENDAR_TIME_ZONE
+        : null;
+
+    // Reuses buildGoogleEvent() so feed subscribers see the same events the Google sync creates.
+    function buildIcalFeed(name, tasks) {
+        const feed = ical({ name, ttl: Number(FEED_CACHE_SECONDS) });
+        feed.timezone({ name: null, generator: getVtimezoneComponent });
+        for (const task of tasks) {
+            const gEvent = buildGoogleEvent(task);
+            const allDay = Boolean(gEvent.start.date);
+            feed.createEvent({
+                id: `vikunja-task-${task.id}`,
+                summary: gEvent.summary,
+                description: gEvent.description,
+                // All-day dates are floating, so they are handed over as plain local dates.
+                start: allDay ? dayjs(gEvent.start.date) : dayjs(gEvent.start.dateTime).tz(feedTimeZone || 'UTC'),
+                end: allDay ? dayjs(gEvent.end.date) : dayjs(gEvent.end.dateTime).tz(feedTimeZone || 'UTC'),
+                timezone: allDay ? null : feedTimeZone,
+                allDay,
+                alarms: (gEvent.reminders.overrides || []).map(r => ({
+                    type: r.method === 'email' ? 'email' : 'display',
+                    trigger: r.minutes * 60
+                })),
+                repeating: gEvent.recurrence ? gEvent.recurrence[0].replace(/^RRULE:/, '') : null,
+                url: `${VIKUNJA_FRONTEND_URL}/projects/${task.project_id}/tasks/${task.id}`
+            });
+        }
+        return feed;
+    }
+
+    function feedName(title) {
+        return CALENDAR_PREFIX ? `${CALENDAR_PREFIX} ${title}` : title;
+    }
+
+    function hasValidFeedToken(req) {
+        const given = Buffer.from(String(req.query.token || ''));
+        const expected = Buffer.from(FEED_TOKEN);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    function sendFeed(res, feed, filename) {
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(feed.toString());
+    }
+
+    // --- Webhook Receiver ---
+    // Vikunja signs each webhook body with HMAC-SHA256 using the secret configured on the webhook.
+    function hasValidWebhookSignature(req) {
+        const given = Buffer.from(String(req.get('X-Vikunja-Signature') || ''));
+        const expected = Buffer.from(crypto.createHmac('sha256', VIKUNJA_WEBHOOK_SECRET).update(req.body).digest('hex'));
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    // Runs Step 3's logic for the one task a webhook was about. Anything it can't resolve on its own,
+    // such as a task in a project that has no calendar yet, falls back to a full sync cycle.
+    // Saved filter calendars catch up on the next polling cycle.
+    async function syncTaskFromWebhook(taskId, deleted) {
+        const taskIdStr = String(taskId);
+        const mapping = getMapping(taskIdStr);
+
+        let existingGEvent = null;
+        if (mapping) {
             try {
-                await calendar.events.delete({
-                    calendarId: gEvent.calendarId,
-                    eventId: gEvent.id
+                const response = await googleRequest(() => calendar.events.get({ calendarId: mapping.calendarId, eventId: mapping.eventId }));
+                existingGEvent = response.data.status === 'cancelled' ? null : { ...response.data, calendarId: mapping.calendarId };
+            } catch (error) {
+                if (![404, 410].includes(googleErrorStatus(error))) throw error;
+            }
+            if (!existingGEvent) {
+                removeMapping(taskIdStr);
+            }
+        }
+
+        const task = deleted ? null : await getVikunjaTask(taskId);
+        const projectSkipped = task && lastKnownCalendars?.projectMap.has(task.project_id)
+            && !lastKnownCalendars.syncedProjectIds.has(task.project_id);
+        if (!task || !taskSchedule(task) || !isTaskVisible(task) || projectSkipped) {
+            delete db.data.taskCache[taskIdStr];
+            if (existingGEvent) {
+                console.log(`Deleting event for task ID ${taskId} after webhook.`);
+                try {
+                    await googleRequest(() => calendar.events.delete({
+                        calendarId: existingGEvent.calendarId,
+                        eventId: existingGEvent.id,
+                        sendUpdates: SEND_UPDATES
+                    }));
+                } catch (error) {
+                    if (![404, 410].includes(googleErrorStatus(error))) throw error;
+                }
+                removeMapping(taskIdStr);
+            }
+            await db.write();
+            return;
+        }
+
+        db.data.taskCache[taskIdStr] = task;
+        const targetGCal = lastKnownCalendars
+            ? findTargetCalendar(task, lastKnownCalendars)
+            : null;
+        if (!targetGCal) {
+            console.log(`No known calendar for task ${taskId} yet; running a full sync cycle instead.`);
+            await syncCycle();
+            return;
+        }
+
+        await reconcileTaskEvent(task, existingGEvent, targetGCal);
+        await db.write();
+    }
+
+    function startHttpServer() {
+        const app = express();
+
+        if (VIKUNJA_WEBHOOK_SECRET && syncEnabled) {
+            app.post('/webhooks/vikunja', express.raw({ type: '*/*' }), (req, res) => {
+                if (!Buffer.isBuffer(req.body) || !hasValidWebhookSignature(req)) {
+                    return res.status(401).send('Invalid webhook signature.');
+                }
+
+                let payload;
+                try {
+                    payload = JSON.parse(req.body.toString('utf8'));
+                } catch (error) {
+                    return res.status(400).send('Invalid JSON.');
+                }
+
+                const eventName = payload.event_name || '';
+                const taskId = payload.data?.task?.id;
+                // Answer right away; Vikunja doesn't wait long, and the polling cycles catch anything that fails here.
+                res.status(202).send('Accepted.');
+                if (!eventName.startsWith('task.') || !taskId || stopRequested) {
+                    return;
+                }
+
+                console.log(`Received Vikunja webhook "${eventName}" for task ${taskId}.`);
+                withSyncLock(() => syncTaskFromWebhook(taskId, eventName === 'task.deleted')).catch(error => {
+                    console.error(`Failed to sync task ${taskId} from webhook:`, error.message);
                 });
-                await delay(200);
+            });
+        }
+
+        if (!FEED_TOKEN) {
+            app.listen(Number(FEED_PORT), () => {
+                console.log(`Webhook receiver listening on port ${FEED_PORT}.`);
+            });
+            return;
+        }
+
+        app.use('/feeds', (req, res, next) => {
+            if (!hasValidFeedToken(req)) {
+                return res.status(401).send('Invalid or missing feed token.');
+            }
+            next();
+        });
+
+        app.get('/feeds/all.ics', async (req, res) => {
+            try {
+                const { tasks } = await getFeedData();
+                sendFeed(res, buildIcalFeed(feedName('All Projects'), tasks), 'all.ics');
             } catch (error) {
-                if (error.code !== 410) {
-                    console.error(`Failed to delete event ${gEvent.id}:`, error.message);
+                console.error("Error building combined iCal feed:", error.message);
+                res.status(500).send('Failed to build feed.');
+            }
+        });
+
+        app.get('/feeds/projects/:projectId.ics', async (req, res) => {
+            try {
+                const { projects, projectMap, syncedProjectIds, tasks } = await getFeedData();
+                const project = projects.find(p => String(p.id) === req.params.projectId);
+                if (!project) {
+                    return res.status(404).send('Project not found.');
                 }
+                // Like the Google calendars, a feed includes the tasks rolled up into it from child projects.
+                const projectTasks = tasks.filter(task => task.project_id === project.id
+                    || calendarProjectFor(projectMap.get(task.project_id), projectMap, syncedProjectIds) === project);
+                sendFeed(res, buildIcalFeed(feedName(projectPath(project, projectMap)), projectTasks), `project-${project.id}.ics`);
+            } catch (error) {
+                console.error(`Error building iCal feed for project ${req.params.projectId}:`, error.message);
+                res.status(500).send('Failed to build feed.');
             }
+        });
+
+        app.listen(Number(FEED_PORT), () => {
+            console.log(`HTTP server listening on port ${FEED_PORT}.`);
+        });
+    }
+
+
+    // 5. --- SCHEDULING ---
+    // -----------------------------------------------------------
+    let activeCycle = null;
+    let syncLock = Promise.resolve();
+
+    // Runs sync work one piece at a time, so webhook updates never interleave with a cycle.
+    function withSyncLock(fn) {
+        const result = syncLock.then(fn);
+        syncLock = result.catch(() => {});
+        return result;
+    }
+
+    // Never lets two cycles overlap: a caller arriving mid-cycle just waits on the running one.
+    function runSyncCycle() {
+        if (activeCycle) {
+            console.log("A sync cycle is already running; not starting another.");
+            return activeCycle;
         }
+        activeCycle = withSyncLock(syncCycle).finally(() => {
+            activeCycle = null;
+        });
+        return activeCycle;
     }
 
-    console.log("--- Sync Cycle Finished ---");
+    if (serveMode) {
+        startHttpServer();
+    }
+    if (!syncEnabled) {
+        return;
+    }
+    if (!daemonMode) {
+        await runSyncCycle();
+        if (dryRun) {
+            printPlan();
+        }
+        return;
+    }
+
+    const intervalMs = Number(SYNC_INTERVAL_MINUTES) * 60 * 1000;
+    const maxBackoffMs = Number(SYNC_MAX_BACKOFF_MINUTES) * 60 * 1000;
+    let consecutiveFailures = 0;
+    let nextCycleTimer = null;
+
+    async function scheduledCycle() {
+        try {
+            await runSyncCycle();
+            consecutiveFailures = 0;
+        } catch (error) {
+            consecutiveFailures++;
+            console.error(`Sync cycle failed (${consecutiveFailures} in a row):`, error.message);
+        }
+        if (stopRequested) return;
+
+        // Double the wait for every failure after the first, up to the configured maximum.
+        const waitMs = Math.max(intervalMs, Math.min(intervalMs * 2 ** (consecutiveFailures - 1), maxBackoffMs));
+        console.log(`Next sync cycle in ${Math.round(waitMs / 60000)} minute(s).`);
+        nextCycleTimer = setTimeout(scheduledCycle, waitMs);
+    }
+
+    function shutdown(signal) {
+        stopRequested = true;
+        clearTimeout(nextCycleTimer);
+        console.log(`Received ${signal}, shutting down${activeCycle ? ' once the current sync step finishes' : ''}...`);
+        return syncLock.then(() => {
+            console.log("Sync daemon stopped.");
+        });
+    }
+    onShutdown(shutdown);
+
+    console.log(`Running as a daemon, syncing every ${SYNC_INTERVAL_MINUTES} minute(s).`);
+    await scheduledCycle();
+}
+
+// 6. --- PROFILES ---
+// -----------------------------------------------------------
+// SYNC_CONFIG_FILE names a JSON file of sync profiles, for several Vikunja accounts each syncing to their own
+// Google account from one process:
+//   { "defaults": { "SYNC_INTERVAL_MINUTES": "10" },
+//     "profiles": { "alice": { "VIKUNJA_API_TOKEN": "...", "GOOGLE_AUTH_MODE": "oauth", ... }, "bob": { ... } } }
+// A profile takes the same settings as the environment, on top of "defaults"; nothing is read from the environment,
+// so no token or address leaks from one profile into another. Values may be JSON lists or objects where a setting
+// expects JSON (CALENDAR_SHARING, VIKUNJA_EMAIL_MAP). Each profile keeps its state in db-<name>.json and, with
+// GOOGLE_AUTH_MODE=oauth, its token in google-token-<name>.json unless SYNC_DB_FILE/GOOGLE_OAUTH_TOKEN_FILE say otherwise.
+// Its calendars carry the profile's name, so profiles syncing into one Google account leave each other's alone.
+// --profile <name> runs only that profile, e.g. to --authorize it.
+function loadProfiles() {
+    const { SYNC_CONFIG_FILE } = process.env;
+    const config = JSON.parse(fs.readFileSync(SYNC_CONFIG_FILE, 'utf8'));
+    if (!config.profiles || typeof config.profiles !== 'object' || Array.isArray(config.profiles)) {
+        throw new Error('expected a "profiles" object of profile names to their settings.');
+    }
+    const toSetting = value => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+    const toSettings = values => Object.fromEntries(Object.entries(values || {}).map(([name, value]) => [name, toSetting(value)]));
+    const defaults = toSettings(config.defaults);
+
+    const profiles = Object.entries(config.profiles).map(([name, values]) => {
+        // The name ends up in file names and log lines.
+        if (!/^[\w-]+$/.test(name)) {
+            throw new Error(`profile name "${name}" may only contain letters, digits, "_" and "-".`);
+        }
+        return { name, settings: { ...defaults, ...toSettings(values) } };
+    });
+    if (profiles.length === 0) {
+        throw new Error('no profiles are defined.');
+    }
+
+    // Profiles managing the same calendars would each retire the other's as orphans, and two feed servers can't share a port.
+    const claimed = new Map();
+    const claim = (what, value, name) => {
+        const owner = claimed.get(`${what}\n${value}`);
+        if (owner) {
+            throw new Error(`profiles "${owner}" and "${name}" use the same ${what}.`);
+        }
+        claimed.set(`${what}\n${value}`, name);
+    };
+    for (const { name, settings } of profiles) {
+        if (settings.SYNC_DB_FILE) {
+            claim('SYNC_DB_FILE', path.resolve(settings.SYNC_DB_FILE), name);
+        }
+        if (settings.GOOGLE_APPLICATION_CREDENTIALS && settings.GOOGLE_AUTH_MODE !== 'oauth') {
+            claim('GOOGLE_APPLICATION_CREDENTIALS and CALENDAR_PREFIX', `${path.resolve(settings.GOOGLE_APPLICATION_CREDENTIALS)}\n${settings.CALENDAR_PREFIX}`, name);
+        }
+        // Each profile has a token file of its own by default; sharing one would mean sharing the Google account.
+        if (settings.GOOGLE_OAUTH_TOKEN_FILE && settings.GOOGLE_AUTH_MODE === 'oauth') {
+            claim('GOOGLE_OAUTH_TOKEN_FILE', path.resolve(settings.GOOGLE_OAUTH_TOKEN_FILE), name);
+        }
+        if (process.argv.includes('--serve')) {
+            claim('FEED_PORT', settings.FEED_PORT || '3000', name);
+        }
+    }
+    return profiles;
+}
+
+// --dry-run --json: each profile's plan, by profile name.
+const profilePlans = {};
+
+// Prefixes a profile's log lines with its name, so several profiles can share one output.
+function profileConsole(name) {
+    return {
+        log: (...args) => console.log(`[${name}]`, ...args),
+        error: (...args) => console.error(`[${name}]`, ...args),
+    };
+}
+
+// Daemons finish their current sync step before the process exits on SIGTERM or SIGINT.
+const shutdownHandlers = [];
+let shuttingDown = false;
+function onShutdown(handler) {
+    if (shutdownHandlers.length === 0) {
+        const stop = signal => {
+            if (shuttingDown) return;
+            shuttingDown = true;
+            Promise.all(shutdownHandlers.map(shutdown => shutdown(signal))).then(() => process.exit(0));
+        };
+        process.on('SIGTERM', () => stop('SIGTERM'));
+        process.on('SIGINT', () => stop('SIGINT'));
+    }
+    shutdownHandlers.push(handler);
+}
+
+async function main() {
+    if (!process.env.SYNC_CONFIG_FILE) {
+        return run();
+    }
+
+    let profiles;
+    try {
+        profiles = loadProfiles();
+    } catch (error) {
+        console.error(`FATAL: Could not load SYNC_CONFIG_FILE "${process.env.SYNC_CONFIG_FILE}": ${error.message}`);
+        process.exit(1);
+    }
+    const profileIndex = process.argv.indexOf('--profile');
+    if (profileIndex !== -1) {
+        const selected = process.argv[profileIndex + 1];
+        profiles = profiles.filter(profile => profile.name === selected);
+        if (profiles.length === 0) {
+            console.error(`FATAL: --profile "${selected}" is not defined in SYNC_CONFIG_FILE.`);
+            process.exit(1);
+        }
+    }
+
+    // Profiles start one after the other, so --authorize prompts don't overlap and a misconfigured profile
+    // stops the process before later ones begin; as daemons they then run side by side.
+    // One profile failing to sync doesn't keep the others from syncing.
+    for (const { name, settings } of profiles) {
+        await run(settings, name).catch(error => {
+            profileConsole(name).error("Sync failed:", error.message);
+            process.exitCode = 1;
+        });
+    }
+    if (process.argv.includes('--dry-run') && process.argv.includes('--json')) {
+        process.stdout.write(`${JSON.stringify(profilePlans, null, 2)}\n`);
+    }
 }
 
 // --- Run the main function ---
-run().catch(console.error);
+main().catch(error => {
+    console.error("Sync failed:", error.message);
+    process.exitCode = 1;
+});